@@ -67,6 +67,16 @@ export class AsteroidsAnimation {
         // optionally use smoothing in the animation itself
     }
 
+    // Optional hook: one drum hit. Asteroids on the matching band pop once and
+    // ease back through the size smoothing in drawFrame.
+    onTransient(hit) {
+        const band = hit.type === 'kick' ? 'low' : (hit.type === 'snare' ? 'mid' : 'high');
+        for (const a of this.asteroids) {
+            if (a.reactBand !== band) continue;
+            a.sizeCurrent = Math.max(a.sizeCurrent, a.size * (1 + 0.4 * (hit.strength / 100) * a.sensitivity));
+        }
+    }
+
     // --- Helpers ---
     resize() {
         const rect = this.canvas.getBoundingClientRect();
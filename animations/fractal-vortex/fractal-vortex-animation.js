@@ -13,6 +13,7 @@ export class FractalVortexAnimation {
         // Visual State
         this.time = 0;
         this.hue = 0;
+        this.targetHue = null; // from the musical key, null until one is detected
         this.rotation = 0;
         this.zoom = 1;
 
@@ -38,6 +39,23 @@ export class FractalVortexAnimation {
         this.high = high;
     }
 
+    // Key and dominant note -> hue. Walking the circle of fifths keeps related
+    // keys on neighbouring hues, so modulations shift the palette gently.
+    updateHarmony(harmony) {
+        if (harmony.key < 0) {
+            this.targetHue = null;
+            return;
+        }
+        const fifths = (pc) => (pc * 7) % 12;
+        let hue = fifths(harmony.key) * 30 + (harmony.mode === 'minor' ? 15 : 0);
+        if (harmony.pitchClass >= 0) {
+            // Lean a little towards the note that is sounding right now
+            const lean = ((fifths(harmony.pitchClass) - fifths(harmony.key) + 18) % 12) - 6;
+            hue += lean * 4;
+        }
+        this.targetHue = (hue + 360) % 360;
+    }
+
     start() {
         const rect = this.canvas.getBoundingClientRect();
         this.canvas.width = rect.width;
@@ -94,8 +112,14 @@ export class FractalVortexAnimation {
         // Global Time moves faster with Mid frequencies
         this.time += 0.02 + (this.mid * 0.001);
 
-        // Cycle Colors
-        this.hue = (this.time * 20) % 360;
+        // Colors follow the harmony; without a detected key they cycle with time
+        if (this.targetHue === null) {
+            this.hue = (this.time * 20) % 360;
+        } else {
+            // Ease along the shorter way round the colour wheel
+            const diff = ((this.targetHue - this.hue + 540) % 360) - 180;
+            this.hue = (this.hue + diff * 0.02 + 360) % 360;
+        }
 
         // Rotation of the vortex
         this.rotation += 0.0 + (this.low * 0.0001);
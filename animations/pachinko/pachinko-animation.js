@@ -27,10 +27,8 @@ export class PachinkoAnimation {
     this.boardWidth = this.config.settings?.boardWidth || 20;
     this.boardHeight = this.config.settings?.boardHeight || 30;
 
-    // Audio Thresholds
-    this.lowThreshold = this.config.settings?.lowThreshold || 70;  // Spawn red balls
-    this.midThreshold = this.config.settings?.midThreshold || 70;  // Spawn green balls
-    this.highThreshold = this.config.settings?.highThreshold || 70; // Spawn blue balls
+    // Drum hits weaker than this (0-100) don't spawn a ball
+    this.minHitStrength = this.config.settings?.minHitStrength ?? 20;
 
     // Name Configuration
     this.nameLifetime = this.config.settings?.nameLifetime || 200; // Frames to display name
@@ -885,36 +883,11 @@ export class PachinkoAnimation {
 
   // Phase 4: Enhanced audio reactivity
   updateAudioReactivity() {
-    // Dynamic spawn rates based on audio intensity
-    const overallIntensity = (this.LOW + this.MID + this.HIGH) / 3;
-    const spawnChance = 0.02 + (overallIntensity / 100) * 0.08;
+    // Balls and screen shake are triggered per drum hit, see onTransient()
 
-    // Spawn balls with frequency-based colors
-    if (this.LOW > this.lowThreshold && Math.random() < spawnChance) {
-      this.spawnBall(0); // Red ball for bass
-      this.createSpawnEffect(0xff0000); // Red spawn effect
-    }
-
-    if (this.MID > this.midThreshold && Math.random() < spawnChance) {
-      this.spawnBall(1); // Green ball for mids
-      this.createSpawnEffect(0x00ff00); // Green spawn effect
-    }
-
-    if (this.HIGH > this.highThreshold && Math.random() < spawnChance) {
-      this.spawnBall(2); // Blue ball for treble
-      this.createSpawnEffect(0x0000ff); // Blue spawn effect
-    }
-
-    // Enhanced screen shake on heavy bass
-    if (this.screenShakeEnabled && this.LOW > 85) {
-      const shakeIntensity = (this.LOW - 85) / 15 * 2;
-      this.screenShake.x = (Math.random() - 0.5) * shakeIntensity;
-      this.screenShake.y = (Math.random() - 0.5) * shakeIntensity * 0.5;
-    } else {
-      // Smooth camera return to center
-      this.screenShake.x *= 0.9;
-      this.screenShake.y *= 0.9;
-    }
+    // Smooth camera return to center after a kick's shake
+    this.screenShake.x *= 0.9;
+    this.screenShake.y *= 0.9;
 
     // Audio-reactive gravity
     this.gravity = 0.5 + (this.LOW / 100) * 0.3;
@@ -1292,6 +1265,27 @@ export class PachinkoAnimation {
     this.HIGH = high;
   }
 
+  // One ball per drum hit, colored by instrument
+  onTransient(hit) {
+    if (!this.scene || hit.strength < this.minHitStrength) return;
+    if (hit.type === 'kick') {
+      this.spawnBall(0); // Red ball for kicks
+      this.createSpawnEffect(0xff0000); // Red spawn effect
+      if (this.screenShakeEnabled) {
+        // Screen shake, harder for harder kicks
+        const shakeIntensity = hit.strength / 50;
+        this.screenShake.x = (Math.random() - 0.5) * shakeIntensity;
+        this.screenShake.y = (Math.random() - 0.5) * shakeIntensity * 0.5;
+      }
+    } else if (hit.type === 'snare') {
+      this.spawnBall(1); // Green ball for snares/claps
+      this.createSpawnEffect(0x00ff00); // Green spawn effect
+    } else {
+      this.spawnBall(2); // Blue ball for hi-hats
+      this.createSpawnEffect(0x0000ff); // Blue spawn effect
+    }
+  }
+
   start() {
     console.log('[pachinko] Starting animation...');
 
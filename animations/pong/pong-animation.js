@@ -10,6 +10,9 @@ export class PongAnimation {
     this.LOW = 0;
     this.MID = 0;
     this.HIGH = 0;
+    // Bass per stereo channel, one for each paddle (see updateStereo)
+    this.LEFT_LOW = 0;
+    this.RIGHT_LOW = 0;
     
     this.names = ["UNKNOWN", "BOGEY", "TARGET"]; 
     this.fetchNames();
@@ -71,14 +74,17 @@ export class PongAnimation {
   
   // --- CORE MECHANICS ---
   
-  createImpact(x, y, direction) {
-    // 1. Screen Shake
-    this.shakeIntensity = 10 + (this.LOW / 5); // Bass makes it shake harder
-
-    // 2. Shockwave
+  // Screen shake plus a shockwave ring at (x, y); `strength` 0-1 sets the ring's alpha and width
+  shockwave(x, y, shake, strength = 1) {
+    this.shakeIntensity = Math.max(this.shakeIntensity, shake);
     this.shockwaves.push({
-      x: x, y: y, radius: 1, alpha: 1, width: 5
+      x: x, y: y, radius: 1, alpha: strength, width: 2 + 3 * strength
     });
+  }
+
+  createImpact(x, y, direction) {
+    // 1 + 2. Screen Shake and Shockwave, bass makes it shake harder
+    this.shockwave(x, y, 10 + (this.LOW / 5));
 
     // 3. Floating Name (The "Pop out" effect)
     const randomName = this.names[Math.floor(Math.random() * this.names.length)];
@@ -131,10 +137,9 @@ export class PongAnimation {
   }
 
   updatePaddles() {
-    // Audio reactivity: Paddles pulse in size with Bass
-    const sizeMod = (this.LOW / 255) * 40;
-    this.leftPaddle.height = 80 + sizeMod;
-    this.rightPaddle.height = 80 + sizeMod;
+    // Audio reactivity: Paddles pulse in size with the Bass on their side
+    this.leftPaddle.height = 80 + (this.LEFT_LOW / 255) * 40;
+    this.rightPaddle.height = 80 + (this.RIGHT_LOW / 255) * 40;
     
     // AI Logic
     const predictionNoise = 50 - (this.HIGH / 5); // High freq makes AI more accurate (less noise)
@@ -147,9 +152,8 @@ export class PongAnimation {
     this.rightPaddle.y += (this.rightPaddle.targetY - this.rightPaddle.y) * 0.1;
     
     // Constraints
-    const maxY = this.canvas.height - this.leftPaddle.height;
-    this.leftPaddle.y = Math.max(0, Math.min(maxY, this.leftPaddle.y));
-    this.rightPaddle.y = Math.max(0, Math.min(maxY, this.rightPaddle.y));
+    this.leftPaddle.y = Math.max(0, Math.min(this.canvas.height - this.leftPaddle.height, this.leftPaddle.y));
+    this.rightPaddle.y = Math.max(0, Math.min(this.canvas.height - this.rightPaddle.height, this.rightPaddle.y));
   }
   
   updateBall() {
@@ -379,6 +383,17 @@ export class PongAnimation {
     this.MID = mid;
     this.HIGH = high;
   }
+
+  // Every kick punches a shockwave out of the ball, exactly once per hit
+  onTransient(hit) {
+    if (hit.type !== 'kick') return;
+    this.shockwave(this.ball.x, this.ball.y, hit.strength / 10, hit.strength / 100);
+  }
+
+  updateStereo(stereo) {
+    this.LEFT_LOW = stereo.left.low;
+    this.RIGHT_LOW = stereo.right.low;
+  }
   
   start() {
     const rect = this.canvas.getBoundingClientRect();
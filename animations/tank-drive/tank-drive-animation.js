@@ -103,6 +103,13 @@ export class TankDriveAnimation {
     this.high = high;
   }
 
+  // Smoothed levels from the audio layer (envelopes configured in animations.yml)
+  updateSmoothed(low, mid, high) {
+    this.smoothedLow = low;
+    this.smoothedMid = mid;
+    this.smoothedHigh = high;
+  }
+
   start() {
     // Call init here to ensure canvas has dimensions
     this.init();
@@ -140,11 +147,6 @@ export class TankDriveAnimation {
     const primaryColor = style.getPropertyValue('--color-primary').trim() || '#0f0';
     const bgColor = style.getPropertyValue('--color-bg').trim() || '#000';
 
-    // Smooth Audio
-    this.smoothedLow = this.lerp(this.smoothedLow, this.low, 0.1);
-    this.smoothedMid = this.lerp(this.smoothedMid, this.mid, 0.1);
-    this.smoothedHigh = this.lerp(this.smoothedHigh, this.high, 0.1);
-
     // 1. SCROLL UPDATES
 
     // Foreground
@@ -19,9 +19,14 @@ export class TemplateAnimation {
         this.LOW = 0;
         this.MID = 0;
         this.HIGH = 0;
+        this.beatFlash = 0; // 1 on a detected beat, decays every frame
+        this.brightness = 0; // spectral centroid 0-100, from updateFeatures()
+        this.audio = null; // AudioManager, set by attachAudio() for spectrum access
+        this.SPECTRUM_BANDS = 32;
 
         // Sensitivity and overrides from manifest's `settings`
         this.sensitivity = (this.config.settings && Number(this.config.settings.sensitivity)) || this.DEFAULT_SENSITIVITY;
+        this.baseSensitivity = this.sensitivity; // MIDI control1 scales around this
 
         // meta and debug label elements
         const slug = this.config.slug || (this.config.name && this.config.name.toLowerCase().replace(/\s+/g, '-')) || 'template';
@@ -95,6 +100,49 @@ export class TemplateAnimation {
         this.HIGH = high;
     }
 
+    /**
+     * OPTIONAL: Spectral features of the current frame, each 0-100.
+     * @param {{centroid: number, flux: number, rms: number, crest: number}} features
+     */
+    updateFeatures(features) {
+        this.brightness = features.centroid;
+    }
+
+    /**
+     * OPTIONAL: Called once per detected beat.
+     * @param {{time: number, strength: number, bpm: number, phase: number, confidence: number}} beat
+     */
+    onBeat(beat) {
+        this.beatFlash = 1;
+    }
+
+    /**
+     * OPTIONAL: A MIDI knob/fader bound to CONTROL_1..4 moved.
+     * @param {string} name - 'control1' .. 'control4'
+     * @param {number} value - 0..1
+     */
+    onControl(name, value) {
+        // control1 scales the circles: 0..2x the manifest sensitivity
+        if (name === 'control1') this.sensitivity = value * 2 * this.baseSensitivity;
+    }
+
+    /**
+     * OPTIONAL: A MIDI pad bound to FX_1..4 was hit.
+     * @param {string} name - 'trigger1' .. 'trigger4'
+     * @param {number} velocity - 0..1
+     */
+    onTrigger(name, velocity) {
+        if (name === 'trigger1') this.beatFlash = 1 + velocity * 2; // a brighter flash than a beat
+    }
+
+    /**
+     * OPTIONAL: Receives the AudioManager once after construction, for pulling
+     * `getSpectrum(n)` / `getWaveform()` in the draw loop.
+     */
+    attachAudio(audio) {
+        this.audio = audio;
+    }
+
     // --- Core Animation Loop ---
     
     drawFrame = () => {
@@ -110,6 +158,13 @@ export class TemplateAnimation {
         this.ctx.fillStyle = this.bgColor || '#000';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
+        // Beat flash: a faint full-screen pulse that fades out
+        if (this.beatFlash > 0.01) {
+            this.ctx.fillStyle = `rgba(51, 255, 0, ${this.beatFlash * 0.15})`;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+            this.beatFlash *= 0.85;
+        }
+
         // compute center and spacing for 3 circles
         const centerX = this.width / 2;
         const centerY = this.height / 2;
@@ -130,9 +185,21 @@ export class TemplateAnimation {
             this.ctx.fill();
         }
 
+        // Spectrum strip along the bottom edge (only when the audio manager is attached)
+        if (this.audio) {
+            const spectrum = this.audio.getSpectrum(this.SPECTRUM_BANDS);
+            const barWidth = this.width / spectrum.length;
+            // Brighter music, brighter strip
+            this.ctx.fillStyle = `rgba(51, 255, 0, ${0.2 + (this.brightness / 100) * 0.6})`;
+            for (let i = 0; i < spectrum.length; i++) {
+                const barHeight = (spectrum[i] / 100) * this.height * 0.2;
+                this.ctx.fillRect(i * barWidth + 1, this.height - barHeight, barWidth - 2, barHeight);
+            }
+        }
+
         // Update metadata display for debugging
         if (this.labelEl) {
-            this.labelEl.textContent = `LOW: ${this.LOW}  MID: ${this.MID}  HIGH: ${this.HIGH}  sensitivity: ${this.sensitivity}`;
+            this.labelEl.textContent = `LOW: ${this.LOW}  MID: ${this.MID}  HIGH: ${this.HIGH}  bright: ${Math.round(this.brightness)}  sensitivity: ${this.sensitivity}`;
         }
 
         this.frameId = requestAnimationFrame(this.drawFrame);
@@ -0,0 +1,90 @@
+// audio-errors.js
+/**
+ * Typed audio input failures. Browsers report them as assorted DOMExceptions;
+ * `AudioInputError.from()` maps those to a `reason` the UI can explain, with a
+ * concrete remedy for the person at the controls.
+ */
+
+const REASONS = {
+    'permission-denied': {
+        message: 'Microphone access was blocked',
+        remedy: 'Allow microphone access for this site (padlock icon in the address bar), then try again.'
+    },
+    'insecure-context': {
+        message: 'Audio input needs a secure page',
+        remedy: 'Open PartyViz via https:// or http://localhost instead of a plain http:// address or file://.'
+    },
+    'no-device': {
+        message: 'No audio input device found',
+        remedy: 'Connect a microphone or audio interface, or check that it is enabled in the system settings.'
+    },
+    'device-busy': {
+        message: 'The audio device is in use or not responding',
+        remedy: 'Close other apps using it (DAW, video call), or pick another input, then try again.'
+    },
+    'overconstrained': {
+        message: 'The device cannot deliver the requested input settings',
+        remedy: 'Set CHANNELS to 1 in the input settings (⚙) or pick another input.'
+    },
+    'no-audio-shared': {
+        message: 'No audio was shared',
+        remedy: 'Share again and tick "Share audio" in the picker (tab audio works in Chrome and Edge).'
+    },
+    'unsupported': {
+        message: 'This browser cannot use this audio input',
+        remedy: 'Use a current Chrome, Edge or Firefox.'
+    },
+    'unknown': {
+        message: 'The audio input failed',
+        remedy: 'Check the browser console for details and try again.'
+    }
+};
+
+export class AudioInputError extends Error {
+    /**
+     * @param {string} reason - One of the REASONS keys
+     * @param {string} source - Input that failed: 'mic' | 'display' | ...
+     * @param {Error|null} cause - The original browser error
+     */
+    constructor(reason, source, cause = null) {
+        const info = REASONS[reason] || REASONS.unknown;
+        super(info.message, { cause });
+        this.name = 'AudioInputError';
+        this.reason = REASONS[reason] ? reason : 'unknown';
+        this.remedy = info.remedy;
+        this.source = source;
+    }
+
+    /**
+     * Wraps a getUserMedia/getDisplayMedia failure.
+     * @param {Error} err
+     * @param {string} source
+     * @returns {AudioInputError}
+     */
+    static from(err, source) {
+        if (err instanceof AudioInputError) return err;
+        if (typeof window !== 'undefined' && window.isSecureContext === false) {
+            return new AudioInputError('insecure-context', source, err);
+        }
+
+        switch (err && err.name) {
+            case 'NotAllowedError':
+            case 'PermissionDeniedError':
+            case 'SecurityError':
+                return new AudioInputError('permission-denied', source, err);
+            case 'NotFoundError':
+            case 'DevicesNotFoundError':
+                return new AudioInputError('no-device', source, err);
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return new AudioInputError('device-busy', source, err);
+            case 'OverconstrainedError':
+                return new AudioInputError('overconstrained', source, err);
+            case 'NotSupportedError':
+                return new AudioInputError('unsupported', source, err);
+            default:
+                return new AudioInputError('unknown', source, err);
+        }
+    }
+}
@@ -1,25 +1,233 @@
 // audio-manager.js
+import { BeatDetector } from './beat-detector.js';
+import { BeatClock } from './beat-clock.js';
+import { TestSignal } from './test-signal.js';
+import { AutoGain } from './auto-gain.js';
+import { Envelope } from './envelope.js';
+import { ChromaAnalyser } from './chroma.js';
+import { SilenceDetector } from './silence-detector.js';
+import { SectionDetector } from './section-detector.js';
+import { SpectralFeatures } from './spectral-features.js';
+import { TransientDetector, TRANSIENT_BANDS } from './transient-detector.js';
+import { bus as sharedBus } from './event-bus.js';
+import { loadSetting, saveSetting } from './storage.js';
+import { AudioInputError } from './audio-errors.js';
+import { WebSocketSource } from './websocket-source.js';
+
+const WORKLET_URL = new URL('./band-analyser-worklet.js', import.meta.url);
+const MAX_PENDING_ONSETS = 32;
+const INPUT_SETTING = 'audio.input'; // { deviceId } of the last microphone the user picked
+const DEVICE_SETTINGS = 'audio.deviceSettings'; // device id ('default') -> input settings
+const SENSITIVITY_SETTING = 'audio.sensitivity';   // operator gain/gate, see DEFAULT_SENSITIVITY
+const WEBSOCKET_SETTING = 'audio.websocketUrl';    // last WebSocket URL connected to
+
+/**
+ * Microphone processing defaults: raw input. Echo cancellation, noise
+ * suppression and auto gain are voice features that pump and filter music.
+ */
+export const DEFAULT_INPUT_SETTINGS = {
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false,
+    channelCount: 2,   // channels requested from the device (1 or 2)
+    channel: 'mono'    // analysed channel: 'mono' (sum), 'left' or 'right'
+};
+const INPUT_CHANNELS = ['mono', 'left', 'right'];
+
+/**
+ * Operator sensitivity, applied after AGC/manual gain to every source before
+ * the values reach the animations. Per band: `gain` multiplies the level, and
+ * levels below `gate` (0-100, after gain) are cut to 0 with the rest stretched
+ * back to the full range, so room noise stops twitching the visuals.
+ */
+export const DEFAULT_SENSITIVITY = {
+    master: 1.0,
+    low: { gain: 1.0, gate: 0 },
+    mid: { gain: 1.0, gate: 0 },
+    high: { gain: 1.0, gate: 0 }
+};
+export const MAX_SENSITIVITY_GAIN = 4;
+const MAX_GATE = 90;
+export const MAX_MANUAL_GAIN = 4; // upper end of the manual gain (and of its slider)
+
+// 0-100 band levels of synthetic sources map onto this dBFS range (same as the worklet)
+const LEVEL_MIN_DB = -70;
+const LEVEL_MAX_DB = -10;
+const CLIP_LEVEL = 0.99; // |sample| at which the input counts as clipping
+const STEREO_SMOOTHING = 0.15; // s, time constant of the balance/width follower
+const STEREO_MIN_RMS = 1e-5;   // below this (-100 dBFS) a channel counts as silent
+const FEATURE_BANDS = 64;      // log-spaced bands the spectral features are computed on
+
+/**
+ * Defaults for the analyser and the band split. Overridable through the
+ * top-level `audio:` block of animations.yml (and per animation for `bands`
+ * and `envelopes`).
+ * Band edges are in Hz and converted to FFT bins using the context's sample rate.
+ */
+export const DEFAULT_AUDIO_CONFIG = {
+    fft_size: 2048,
+    smoothing: 0.8,
+    // 'worklet': band levels and onsets from an AudioWorklet at audio rate;
+    // 'analyser': averaged AnalyserNode bins once per display frame.
+    // The raw scales differ: the worklet maps band RMS -70..-10 dBFS to 0-100,
+    // the analyser per-bin magnitudes -100..-30 dB (its default decibel range),
+    // so the same music reads lower through the worklet. AGC evens this out;
+    // with `agc: false` set `gain` for the mode in use.
+    analysis: 'worklet',
+    agc: true,   // auto-normalize each band to the full 0-100 range
+    gain: 1.0,   // manual gain applied instead of AGC when `agc` is off
+    bands: {
+        low: [0, 200],
+        mid: [200, 2000],
+        high: [2000, 16000]
+    },
+    // Attack/release times (ms) of the smoothed levels handed to updateSmoothed()
+    envelopes: {
+        low: { attack: 10, release: 150 },
+        mid: { attack: 10, release: 120 },
+        high: { attack: 5, release: 80 }
+    },
+    // Sustained silence (input level in dBFS before AGC/gain) -> `silence` / `resume` events
+    silence: {
+        enabled: true,
+        threshold: -50, // dBFS
+        hold: 5,        // s below the threshold before reporting silence
+        resume: 0.5     // s above it before reporting that music is back
+    },
+    // External band values over a WebSocket (see websocket-source.js)
+    websocket: {
+        url: 'ws://localhost:8765',
+        stale_after: 500,  // ms without frames before the values fade out
+        normalized: true   // false: run the received levels through AGC/manual gain
+    }
+};
+
+const BAND_NAMES = ['low', 'mid', 'high'];
+
 export class AudioManager {
-    constructor() {
+    /**
+     * @param {import('./event-bus.js').EventBus} bus - Where frequencies, tempo, beat,
+     *   stereo, features, transient, harmony, keychange, silence, resume, buildup, drop,
+     *   inputchange and audioerror events are published
+     */
+    constructor(bus = sharedBus) {
+        this.bus = bus;
         this.audioCtx = null;
         this.analyser = null;
         this.source = null;
         this.stream = null; // Keep track of stream to stop it later
         this.dataArray = null;
+        this.dataFrame = -1;    // frameCount the dataArray was last filled in
+        this.input = null;      // GainNode every source connects to; feeds analyser + worklet
+
+        // AudioWorklet analysis (see band-analyser-worklet.js)
+        this.workletNode = null;
+        this.workletLoading = false; // addModule() in flight, so setupWorklet() doesn't start it twice
+        this.workletLevels = { low: 0, mid: 0, high: 0 }; // peak since the last frame
+        this.workletPeakReset = false;
+        this.workletOnsets = []; // { time (performance ms), strength } not yet consumed
+        this.clockBeats = [];    // { time, bpm } from an external clock (MIDI), not yet consumed
+        this.clockSync = false;  // beats and phase follow the external clock while it runs
+
+        this.mediaSource = null; // MediaElementAudioSourceNode for file playback
+
+        // Microphone device handling: the device the user picked (remembered across
+        // reloads) and the one actually in use, which differs while on a fallback
+        const savedInput = loadSetting(INPUT_SETTING);
+        this.preferredDeviceId = (savedInput && savedInput.deviceId) || null;
+        this.activeDeviceId = null;
+        this.deviceTask = null; // pending fallback/reconnect, so device events don't overlap
+        this.micLost = false;   // the mic stopped because no device was left; reconnect on plug-in
+        this.micDeviceKey = 'default'; // DEVICE_SETTINGS key of the open microphone
+        this.micChannels = 0;          // channels the open microphone actually delivers
+        this.splitter = null;          // ChannelSplitterNode while analysing a single channel
+        this.stereoAnalysers = null;   // [left, right] AnalyserNodes for the stereo analysis
+        this.stereoData = null;        // [left, right] byte spectra
+        this.stereoWaves = null;       // [left, right] time-domain samples
+        this.watchDevices();
 
         this.isLive = false;
         this.isTestMode = true;
+        this.sourceType = null; // 'mic' | 'file' | 'display' | 'replay' once a source is connected
+        this.inputType = 'test'; // effective input last announced via `inputchange`
+        this.provider = null;   // non-analyser source (e.g. BandReplay) with read(now)
+        this.recorder = null;   // BandRecorder capturing the values sent to animations
         this.rafId = null;
 
-        this.bassRange = [0, 5];
-        this.midRange = [15, 90];
-        this.highRange = [120, 500];
+        // Band definitions in Hz, and the FFT bin ranges derived from them
+        this.config = {
+            ...DEFAULT_AUDIO_CONFIG,
+            bands: { ...DEFAULT_AUDIO_CONFIG.bands },
+            envelopes: { ...DEFAULT_AUDIO_CONFIG.envelopes },
+            silence: { ...DEFAULT_AUDIO_CONFIG.silence },
+            websocket: { ...DEFAULT_AUDIO_CONFIG.websocket }
+        };
+        this.bandOverrides = null; // per-animation `audio.bands` from animations.yml
+        this.bassRange = [0, 0];
+        this.midRange = [0, 0];
+        this.highRange = [0, 0];
+        this.transientRanges = { kick: [0, 0], snare: [0, 0], hihat: [0, 0] }; // see TRANSIENT_BANDS
+
+        this.beatDetector = new BeatDetector();
+        this.beatClock = new BeatClock(); // beat/bar phase for animations: detection, MIDI or the operator
+        this.transientDetector = new TransientDetector();
+        this.testSignal = new TestSignal();
+
+        this.autoGain = { low: new AutoGain(), mid: new AutoGain(), high: new AutoGain() };
+        this.lastFrameTime = null;
+
+        this.envelopes = { low: new Envelope(), mid: new Envelope(), high: new Envelope() };
+        this.envelopeOverrides = null; // per-animation `audio.envelopes` from animations.yml
+
+        this.chromaAnalyser = new ChromaAnalyser();
+        this.chromaFrame = new Float32Array(12); // raw pitch-class energies of the current frame
+
+        this.silenceDetector = new SilenceDetector(this.config.silence);
+        // Input level of the current frame, before AGC/gain (dBFS), for silence detection and meters
+        this.inputLevel = { rms: LEVEL_MIN_DB, peak: LEVEL_MIN_DB, clipping: false };
+
+        this.sectionDetector = new SectionDetector();
+        this.spectralFeatures = new SpectralFeatures({ minDb: LEVEL_MIN_DB, maxDb: LEVEL_MAX_DB });
+
+        this.sensitivity = this.validSensitivity(loadSetting(SENSITIVITY_SETTING), DEFAULT_SENSITIVITY);
+
+        // Latest values of the current frame, raw (after gain and sensitivity) and smoothed
+        this.levels = {
+            raw: { low: 0, mid: 0, high: 0 },
+            smoothed: { low: 0, mid: 0, high: 0 }
+        };
+        // Reused `frequencies` event payload (integers, like updateFrequencies)
+        this.frequencies = { low: 0, mid: 0, high: 0, smoothed: this.levels.smoothed, input: this.inputLevel };
+        // Reused `stereo` event payload: the bands per channel (integers, on the scale of
+        // `frequencies`), balance -1 (left) .. 1 (right) and width 0 (mono) .. 1
+        this.stereo = {
+            left: { low: 0, mid: 0, high: 0 },
+            right: { low: 0, mid: 0, high: 0 },
+            balance: 0,
+            width: 0
+        };
+        // Per-band pan (-1..1) and instant balance/width of the current frame
+        this.stereoFrame = { low: 0, mid: 0, high: 0, balance: 0, width: 0 };
+
+        // Pull API for animations (getSpectrum / getWaveform), cached per frame
+        this.frameCount = 0;
+        this.spectrumCache = new Map(); // bandCount -> { edges, out, frame }
+        this.waveform = null;
+        this.waveformFrame = -1;
+
+        this.updateBinRanges();
+        this.updateEnvelopes();
     }
 
     setTestMode(enabled) {
         this.isTestMode = enabled;
-        // Suspend context when testing to save CPU, resume when live
-        if (this.audioCtx) {
+        // Tempo and levels learned from one source mean nothing for the other
+        this.resetAnalysis();
+        if (enabled) this.testSignal.restart();
+        this.notifyInputChange();
+        // Suspend context when testing to save CPU, resume when live.
+        // File playback keeps running so the music doesn't stop.
+        if (this.audioCtx && this.sourceType !== 'file') {
             if (enabled && this.audioCtx.state === 'running') this.audioCtx.suspend();
             else if (!enabled && this.audioCtx.state === 'suspended') this.audioCtx.resume();
         }
@@ -36,56 +244,983 @@ export class AudioManager {
     }
 
     /**
-     * Starts audio input.
-     * @param {string|null} deviceId - Optional specific device ID
+     * Applies the global audio config (the `audio:` block of animations.yml).
+     * Missing keys keep their defaults.
+     * @param {{fft_size?: number, smoothing?: number, bands?: object}} config
      */
-    async enableLiveInput(deviceId = null) {
-        try {
-            // 1. Setup Audio Context if missing
-            if (!this.audioCtx) {
-                const AudioContext = window.AudioContext || window.webkitAudioContext;
-                this.audioCtx = new AudioContext();
-                this.analyser = this.audioCtx.createAnalyser();
-                this.analyser.fftSize = 2048;
-                this.analyser.smoothingTimeConstant = 0.8;
+    configure(config = {}) {
+        const fftSize = Number(config.fft_size);
+        if (config.fft_size !== undefined) {
+            // AnalyserNode only accepts powers of two between 32 and 32768
+            if (fftSize >= 32 && fftSize <= 32768 && (fftSize & (fftSize - 1)) === 0) {
+                this.config.fft_size = fftSize;
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid fft_size: ${config.fft_size}`);
+            }
+        }
 
-                const bufferLength = this.analyser.frequencyBinCount;
-                this.dataArray = new Uint8Array(bufferLength);
+        const smoothing = Number(config.smoothing);
+        if (config.smoothing !== undefined) {
+            if (smoothing >= 0 && smoothing < 1) {
+                this.config.smoothing = smoothing;
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid smoothing: ${config.smoothing}`);
             }
+        }
 
-            // 2. Stop existing stream if switching devices
-            if (this.stream) {
-                this.stream.getTracks().forEach(track => track.stop());
+        if (config.agc !== undefined) this.setAgcEnabled(Boolean(config.agc));
+        if (config.gain !== undefined) this.setManualGain(config.gain);
+
+        if (config.analysis !== undefined) {
+            if (config.analysis === 'worklet' || config.analysis === 'analyser') {
+                this.config.analysis = config.analysis;
+                if (this.audioCtx) this.setupWorklet();
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid analysis mode: ${config.analysis}`);
             }
-            if (this.source) {
-                this.source.disconnect();
+        }
+
+        this.config.bands = { ...this.config.bands, ...this.validBands(config.bands) };
+        this.config.envelopes = { ...this.config.envelopes, ...this.validEnvelopes(config.envelopes) };
+        if (config.silence !== undefined) this.setSilenceConfig(config.silence);
+        if (config.websocket !== undefined) this.setWebSocketConfig(config.websocket);
+        this.applyAnalyserConfig();
+        this.updateEnvelopes();
+    }
+
+    /**
+     * Silence detection settings; missing keys keep their current values.
+     * @param {{enabled?: boolean, threshold?: number, hold?: number, resume?: number}} silence
+     */
+    setSilenceConfig(silence) {
+        if (!silence || typeof silence !== 'object') {
+            console.warn('[AudioManager] Ignoring invalid silence config:', silence);
+            return;
+        }
+        const next = { ...this.config.silence };
+        if (silence.enabled !== undefined) next.enabled = Boolean(silence.enabled);
+        for (const key of ['threshold', 'hold', 'resume']) {
+            if (silence[key] === undefined) continue;
+            const value = Number(silence[key]);
+            // threshold is dBFS (<= 0), hold/resume are durations (>= 0)
+            if (Number.isFinite(value) && (key === 'threshold' ? value <= 0 : value >= 0)) {
+                next[key] = value;
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid silence ${key}: ${silence[key]}`);
             }
+        }
+        this.config.silence = next;
+
+        Object.assign(this.silenceDetector, next);
+        if (!next.enabled) this.resetSilence();
+    }
+
+    /**
+     * WebSocket input defaults; missing keys keep their current values.
+     * @param {{url?: string, stale_after?: number, normalized?: boolean}} websocket
+     */
+    setWebSocketConfig(websocket) {
+        if (!websocket || typeof websocket !== 'object') {
+            console.warn('[AudioManager] Ignoring invalid websocket config:', websocket);
+            return;
+        }
+        const next = { ...this.config.websocket };
+        if (typeof websocket.url === 'string' && /^wss?:\/\//.test(websocket.url)) {
+            next.url = websocket.url;
+        } else if (websocket.url !== undefined) {
+            console.warn(`[AudioManager] Ignoring invalid websocket url: ${websocket.url}`);
+        }
+        const staleAfter = Number(websocket.stale_after);
+        if (websocket.stale_after !== undefined) {
+            if (staleAfter > 0) next.stale_after = staleAfter;
+            else console.warn(`[AudioManager] Ignoring invalid websocket stale_after: ${websocket.stale_after}`);
+        }
+        if (websocket.normalized !== undefined) next.normalized = Boolean(websocket.normalized);
+        this.config.websocket = next;
+    }
 
-            // 3. Constraints
-            const constraints = {
-                audio: deviceId ? { deviceId: { exact: deviceId } } : true
+    get isSilent() {
+        return this.silenceDetector.silent;
+    }
+
+    /**
+     * Back to "not silent"; listeners get a `resume` if we were silent.
+     */
+    resetSilence() {
+        const { silent, silentTime } = this.silenceDetector;
+        this.silenceDetector.reset();
+        if (silent) this.bus.emit('resume', { duration: silentTime });
+    }
+
+    setAgcEnabled(enabled) {
+        this.config.agc = enabled;
+        // Start tracking from scratch instead of from stale levels
+        for (const name of BAND_NAMES) this.autoGain[name].reset();
+    }
+
+    /**
+     * Fixed gain used while AGC is off.
+     * @param {number} gain - Multiplier, clamped to 0..MAX_MANUAL_GAIN
+     */
+    setManualGain(gain) {
+        const value = Number(gain);
+        if (!Number.isFinite(value)) return;
+        this.config.gain = Math.min(MAX_MANUAL_GAIN, Math.max(0, value));
+    }
+
+    /**
+     * Changes the operator sensitivity and remembers it across reloads.
+     * @param {object} changes - e.g. { master: 1.5 } or { low: { gate: 10 } }
+     */
+    setSensitivity(changes) {
+        this.sensitivity = this.validSensitivity(changes, this.sensitivity);
+        saveSetting(SENSITIVITY_SETTING, this.sensitivity);
+    }
+
+    resetSensitivity() {
+        this.sensitivity = this.validSensitivity(null, DEFAULT_SENSITIVITY);
+        saveSetting(SENSITIVITY_SETTING, null);
+    }
+
+    /**
+     * Merges sensitivity changes over `base`, clamping gains and gates.
+     * Invalid values are ignored with a warning.
+     */
+    validSensitivity(changes, base) {
+        changes = changes || {};
+        const clampGain = (value, fallback, label) => {
+            if (value === undefined) return fallback;
+            const gain = Number(value);
+            if (!Number.isFinite(gain)) {
+                console.warn(`[AudioManager] Ignoring invalid ${label}: ${value}`);
+                return fallback;
+            }
+            return Math.min(MAX_SENSITIVITY_GAIN, Math.max(0, gain));
+        };
+
+        const next = { master: clampGain(changes.master, base.master, 'master gain') };
+        for (const name of BAND_NAMES) {
+            const band = changes[name] || {};
+            const gate = Number(band.gate);
+            if (band.gate !== undefined && !Number.isFinite(gate)) {
+                console.warn(`[AudioManager] Ignoring invalid ${name} gate: ${band.gate}`);
+            }
+            next[name] = {
+                gain: clampGain(band.gain, base[name].gain, `${name} gain`),
+                gate: Number.isFinite(gate) ? Math.min(MAX_GATE, Math.max(0, gate)) : base[name].gate
             };
+        }
+        return next;
+    }
+
+    /**
+     * Applies the operator sensitivity to one normalized band level (0-100).
+     */
+    applySensitivity(name, level) {
+        const { gain, gate } = this.sensitivity[name];
+        const value = level * this.sensitivity.master * gain;
+        if (value <= gate) return 0;
+        return Math.min(100, ((value - gate) * 100) / (100 - gate));
+    }
+
+    /**
+     * Per-animation band overrides; pass null to go back to the global bands.
+     * @param {object|null} bands - e.g. { low: [0, 120] }
+     */
+    setBandOverrides(bands) {
+        this.bandOverrides = bands ? this.validBands(bands) : null;
+        this.updateBinRanges();
+    }
+
+    /**
+     * Per-animation envelope overrides; pass null to go back to the global envelopes.
+     * @param {object|null} envelopes - e.g. { low: { attack: 160, release: 160 } }
+     */
+    setEnvelopeOverrides(envelopes) {
+        this.envelopeOverrides = envelopes ? this.validEnvelopes(envelopes) : null;
+        this.updateEnvelopes();
+    }
+
+    validEnvelopes(envelopes) {
+        const valid = {};
+        if (!envelopes) return valid;
+        for (const name of BAND_NAMES) {
+            const env = envelopes[name];
+            if (env === undefined) continue;
+            // `low:` with nothing after it in YAML is null
+            if (!env || typeof env !== 'object') {
+                console.warn(`[AudioManager] Ignoring invalid ${name} envelope:`, env);
+                continue;
+            }
+            const current = this.config.envelopes[name];
+            const attack = env.attack !== undefined ? Number(env.attack) : current.attack;
+            const release = env.release !== undefined ? Number(env.release) : current.release;
+            if (attack >= 0 && release >= 0) {
+                valid[name] = { attack, release };
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid ${name} envelope:`, env);
+            }
+        }
+        return valid;
+    }
+
+    updateEnvelopes() {
+        const envelopes = { ...this.config.envelopes, ...this.envelopeOverrides };
+        for (const name of BAND_NAMES) {
+            this.envelopes[name].attack = envelopes[name].attack;
+            this.envelopes[name].release = envelopes[name].release;
+        }
+    }
+
+    validBands(bands) {
+        const valid = {};
+        if (!bands) return valid;
+        for (const name of BAND_NAMES) {
+            const range = bands[name];
+            if (range === undefined) continue;
+            if (Array.isArray(range) && range.length === 2 && Number(range[0]) >= 0 && Number(range[1]) > Number(range[0])) {
+                valid[name] = [Number(range[0]), Number(range[1])];
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid ${name} band:`, range);
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * The effective band edges in Hz (global config + per-animation overrides).
+     */
+    getBands() {
+        return { ...this.config.bands, ...this.bandOverrides };
+    }
+
+    applyAnalyserConfig() {
+        if (this.analyser) {
+            this.analyser.fftSize = this.config.fft_size;
+            this.analyser.smoothingTimeConstant = this.config.smoothing;
+            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+        if (this.stereoAnalysers) {
+            for (const analyser of this.stereoAnalysers) {
+                analyser.fftSize = this.config.fft_size;
+                analyser.smoothingTimeConstant = this.config.smoothing;
+            }
+            this.stereoData = this.stereoAnalysers.map(analyser => new Uint8Array(analyser.frequencyBinCount));
+            this.stereoWaves = this.stereoAnalysers.map(analyser => new Float32Array(analyser.fftSize));
+        }
+        // Bin layout changed: log-band edges and waveform buffer must be rebuilt
+        this.spectrumCache.clear();
+        this.waveform = null;
+        this.updateBinRanges();
+    }
+
+    /**
+     * Converts the Hz band edges to [start, end) bin indices for the current
+     * sample rate, so "bass" means the same on 44.1k and 48k devices.
+     */
+    updateBinRanges() {
+        const sampleRate = this.getSampleRate();
+        const binCount = this.config.fft_size / 2;
+        const binHz = sampleRate / this.config.fft_size;
+        const toBins = ([fromHz, toHz]) => {
+            const start = Math.min(binCount - 1, Math.floor(fromHz / binHz));
+            const end = Math.min(binCount, Math.max(start + 1, Math.ceil(toHz / binHz)));
+            return [start, end];
+        };
+
+        const bands = this.getBands();
+        this.bassRange = toBins(bands.low);
+        this.midRange = toBins(bands.mid);
+        this.highRange = toBins(bands.high);
+        for (const [type, range] of Object.entries(TRANSIENT_BANDS)) this.transientRanges[type] = toBins(range);
+
+        if (this.workletNode) this.workletNode.port.postMessage({ type: 'config', bands });
+    }
+
+    /**
+     * Creates the AudioContext and analyser on first use.
+     */
+    ensureContext() {
+        if (this.audioCtx) return;
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        this.audioCtx = new AudioContext();
+        this.analyser = this.audioCtx.createAnalyser();
+        this.input = this.audioCtx.createGain();
+        this.input.connect(this.analyser);
+        this.connectStereoAnalysers();
+        this.applyAnalyserConfig();
+        this.setupWorklet();
+        console.log(`[AudioManager] Context ready: ${this.audioCtx.sampleRate}Hz, fftSize ${this.config.fft_size}`);
+    }
+
+    /**
+     * Splits the analysis input into a left and a right analyser. Mono sources
+     * are upmixed first, so they show up as identical channels.
+     */
+    connectStereoAnalysers() {
+        const stereo = this.audioCtx.createGain();
+        stereo.channelCount = 2;
+        stereo.channelCountMode = 'explicit';
+        stereo.channelInterpretation = 'speakers';
+        const splitter = this.audioCtx.createChannelSplitter(2);
+        this.stereoAnalysers = [this.audioCtx.createAnalyser(), this.audioCtx.createAnalyser()];
+        this.input.connect(stereo);
+        stereo.connect(splitter);
+        this.stereoAnalysers.forEach((analyser, channel) => splitter.connect(analyser, channel));
+    }
+
+    /**
+     * Starts (or stops) the AudioWorklet analysis according to `config.analysis`.
+     * Loading is asynchronous; until the worklet is running, the analyser is used.
+     */
+    async setupWorklet() {
+        if (this.config.analysis !== 'worklet') {
+            if (this.workletNode) {
+                this.input.disconnect(this.workletNode);
+                this.workletNode.port.onmessage = null;
+                this.workletNode = null;
+            }
+            return;
+        }
+        if (this.workletNode || this.workletLoading) return;
+        if (!this.audioCtx.audioWorklet) {
+            console.warn('[AudioManager] AudioWorklet not supported, using the analyser');
+            return;
+        }
 
-            // 4. Get Stream
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+        this.workletLoading = true;
+        try {
+            await this.audioCtx.audioWorklet.addModule(WORKLET_URL);
+            const node = new AudioWorkletNode(this.audioCtx, 'band-analyser', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                processorOptions: { bands: this.getBands() }
+            });
+            node.port.onmessage = (event) => this.onWorkletMessage(event.data);
+            this.input.connect(node);
+            this.workletNode = node;
+            console.log('[AudioManager] AudioWorklet analysis running');
+        } catch (err) {
+            console.warn('[AudioManager] AudioWorklet failed to load, using the analyser:', err);
+        } finally {
+            this.workletLoading = false;
+        }
+    }
 
-            // 5. Connect Source -> Analyser
-            this.source = this.audioCtx.createMediaStreamSource(this.stream);
-            this.source.connect(this.analyser);
+    /**
+     * One analysis window from the worklet: keep the peak per band until the
+     * next display frame reads it, queue onsets with performance.now() timestamps.
+     */
+    onWorkletMessage({ time, low, mid, high, onset }) {
+        const levels = this.workletLevels;
+        if (this.workletPeakReset) {
+            levels.low = low;
+            levels.mid = mid;
+            levels.high = high;
+            this.workletPeakReset = false;
+        } else {
+            levels.low = Math.max(levels.low, low);
+            levels.mid = Math.max(levels.mid, mid);
+            levels.high = Math.max(levels.high, high);
+        }
 
-            this.isLive = true;
-            this.isTestMode = false;
+        if (onset) {
+            // Tab throttled: rAF isn't draining the queue, keep only the latest onsets
+            if (this.workletOnsets.length >= MAX_PENDING_ONSETS) this.workletOnsets.shift();
+            this.workletOnsets.push({ time: this.contextToPerformanceTime(onset.time), strength: onset.strength });
+        }
+    }
 
-            if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+    /**
+     * Converts an audio-clock time (s) to the performance.now() timeline (ms),
+     * the clock rAF timestamps and the beat detector use.
+     */
+    contextToPerformanceTime(contextTime) {
+        const stamp = this.audioCtx.getOutputTimestamp ? this.audioCtx.getOutputTimestamp() : null;
+        if (stamp && stamp.performanceTime) {
+            return stamp.performanceTime + (contextTime - stamp.contextTime) * 1000;
+        }
+        return performance.now() - (this.audioCtx.currentTime - contextTime) * 1000;
+    }
+
+    /**
+     * Fills `dataArray` with the analyser's byte spectrum, once per frame.
+     */
+    readFrequencyData() {
+        if (this.dataFrame === this.frameCount) return this.dataArray;
+        this.analyser.getByteFrequencyData(this.dataArray);
+        this.dataFrame = this.frameCount;
+        return this.dataArray;
+    }
+
+    /**
+     * Disconnects whatever currently feeds the analyser and releases the mic stream.
+     */
+    detachSource() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.splitter) {
+            this.splitter.disconnect();
+            this.splitter = null;
+        }
+        if (this.mediaSource) {
+            // Keep the element audible, just stop analysing it
+            this.mediaSource.disconnect();
+            this.mediaSource.connect(this.audioCtx.destination);
+        }
+        if (this.provider && typeof this.provider.close === 'function') this.provider.close();
+        this.provider = null;
+        this.micLost = false;
+    }
+
+    /**
+     * Disconnects the current input; the loop falls back to the test signal.
+     * @param {string|null} reason - Passed on in `inputchange`, e.g. 'ended' when the input went away by itself
+     */
+    stopInput(reason = null) {
+        this.detachSource();
+        this.isLive = false;
+        this.sourceType = null;
+        this.resetAnalysis();
+        this.notifyInputChange(reason);
+    }
+
+    /**
+     * Publishes `inputchange` with the effective input type: the connected
+     * source, or 'test' while Test Mode (or no source) drives the loop.
+     * @param {string|null} reason
+     */
+    notifyInputChange(reason = null) {
+        const previous = this.inputType;
+        this.inputType = (this.isTestMode || !this.isLive) ? 'test' : this.sourceType;
+        this.bus.emit('inputchange', {
+            type: this.inputType,
+            source: this.sourceType,
+            testMode: this.isTestMode,
+            previous,
+            reason,
+            deviceId: this.sourceType === 'mic' ? this.activeDeviceId : null
+        });
+    }
+
+    /**
+     * Uses a value provider instead of the analyser. A provider implements
+     * `read(now)` returning `{ low, mid, high, beat?, bpm? }` (0-100); `beat` is a beat
+     * strength (0 = none) that replaces local beat detection when present, and
+     * a `bpm` sent along sets the tempo directly. An optional `close()` is
+     * called when the provider is replaced.
+     * Providers flagged `normalized` bypass AGC/manual gain.
+     * @param {{read: function, normalized?: boolean}} provider
+     * @param {string} type - Source type reported in `sourceType`
+     */
+    setProvider(provider, type = 'replay') {
+        this.detachSource();
+        this.provider = provider;
+        this.isLive = true;
+        this.isTestMode = false;
+        this.sourceType = type;
+        this.resetAnalysis();
+        this.notifyInputChange();
+        console.log(`[AudioManager] Connected to ${type} source`);
+    }
+
+    /**
+     * Takes band values from external software over a WebSocket instead of
+     * analysing audio. The source reconnects by itself; connection problems
+     * are published as `wsstatus`.
+     * @param {string} url - Defaults to the last one used (see webSocketUrl)
+     * @returns {WebSocketSource}
+     */
+    enableWebSocketInput(url = this.webSocketUrl) {
+        const { stale_after: staleAfter, normalized } = this.config.websocket;
+        saveSetting(WEBSOCKET_SETTING, url === this.config.websocket.url ? null : url);
+        const source = new WebSocketSource(url, { staleAfter, normalized, bus: this.bus });
+        this.setProvider(source, 'websocket');
+        source.connect();
+        return source;
+    }
+
+    /**
+     * URL of the WebSocket input: the last one used, else `audio.websocket.url`.
+     */
+    get webSocketUrl() {
+        return loadSetting(WEBSOCKET_SETTING) || this.config.websocket.url;
+    }
+
+    /**
+     * Drops the current provider; the loop falls back to the test signal.
+     */
+    clearProvider() {
+        if (!this.provider) return;
+        this.stopInput();
+    }
+
+    /**
+     * A beat from an external clock (MIDI). While clock beats arrive they set
+     * tempo and phase for every source; local beat detection is skipped.
+     * @param {number} time - Timestamp in ms (performance.now() base)
+     * @param {number} bpm
+     */
+    clockBeat(time, bpm) {
+        if (!this.clockSync) console.log(`[AudioManager] Following external clock at ${bpm.toFixed(1)} BPM`);
+        this.clockSync = true;
+        if (this.clockBeats.length >= MAX_PENDING_ONSETS) this.clockBeats.shift();
+        this.clockBeats.push({ time, bpm });
+    }
+
+    /**
+     * The external clock stopped: back to detecting beats from the audio.
+     */
+    clockStop() {
+        this.clockSync = false;
+        this.clockBeats.length = 0;
+    }
+
+    /**
+     * Tempo of the shared beat clock (the `tempo` payload of the current frame).
+     * @returns {{bpm, phase, confidence, beat, beatInBar, barPhase, source}}
+     */
+    getTempo() {
+        return this.beatClock.tempo;
+    }
+
+    /**
+     * One tap of the tempo; two or more set a manual tempo.
+     * @returns {number} the manual BPM, 0 until it is known
+     */
+    tapTempo() {
+        return this.beatClock.tap(performance.now());
+    }
+
+    /**
+     * Manual tempo, keeping the current beat phase.
+     * @param {number} bpm
+     */
+    setManualBpm(bpm) {
+        this.beatClock.setBpm(bpm, performance.now());
+    }
+
+    /**
+     * Shifts the beat grid (positive = later) in ms.
+     */
+    nudgeBeat(ms) {
+        this.beatClock.nudge(ms, performance.now());
+    }
+
+    /**
+     * Makes the current beat the downbeat of a bar.
+     */
+    resyncBeat() {
+        this.beatClock.resync(performance.now());
+    }
 
-            console.log(`[AudioManager] Connected to device: ${deviceId || 'Default'}`);
+    /**
+     * Back from a manual tempo to the automatic source (detection, sender, MIDI clock).
+     */
+    releaseTempo() {
+        this.beatClock.release();
+    }
+
+    /**
+     * Starts capturing the values sent to animations.
+     * @param {{record: function}} recorder - e.g. a BandRecorder
+     */
+    startRecording(recorder) {
+        this.recorder = recorder;
+    }
+
+    /**
+     * @returns {object|null} the recorder that was capturing, if any
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        return recorder;
+    }
+
+    /**
+     * Starts audio input. The device becomes the preferred one: it is remembered
+     * across reloads, and reconnected when it comes back after being unplugged.
+     * @param {string|null} deviceId - Optional specific device ID
+     */
+    async enableLiveInput(deviceId = null) {
+        this.setPreferredDevice(deviceId);
+        try {
+            await this.openMic(deviceId);
             return true;
+        } catch (err) {
+            // The picked device is gone: use the default one until it returns
+            if (deviceId && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError')) {
+                console.warn(`[AudioManager] Device ${deviceId} not available, using the default input`);
+                return this.openMic(null, 'fallback').then(() => true, (fallbackErr) => {
+                    this.reportInputError(fallbackErr, 'mic');
+                    return false;
+                });
+            }
+            this.reportInputError(err, 'mic');
+            return false;
+        }
+    }
+
+    /**
+     * Publishes a failed input as `audioerror` (an AudioInputError with a
+     * `reason` and a `remedy`) and falls back to the test signal.
+     * @param {Error} err
+     * @param {string} source - 'mic' | 'display'
+     * @returns {AudioInputError}
+     */
+    reportInputError(err, source) {
+        const error = AudioInputError.from(err, source);
+        console.error(`[AudioManager] ${source} input failed (${error.reason}):`, error.cause || error);
+        this.bus.emit('audioerror', error);
+        if (!this.isTestMode) this.setTestMode(true);
+        return error;
+    }
 
+    /**
+     * Restores the microphone of the previous session, if there was one and
+     * permission is already granted (no prompt on page load). Without a user
+     * gesture the context stays suspended: see resumeOnGesture().
+     * @returns {Promise<boolean>} true when an input was restored
+     */
+    async restoreLiveInput() {
+        if (!loadSetting(INPUT_SETTING)) return false;
+        try {
+            const status = await navigator.permissions.query({ name: 'microphone' });
+            if (status.state !== 'granted') return false;
         } catch (err) {
-            console.error('[AudioManager] Access denied or error:', err);
-            alert('Could not access microphone. Check permissions.');
+            return false; // Permissions API unavailable: wait for the user to click
+        }
+        console.log('[AudioManager] Restoring the last used microphone');
+        return this.enableLiveInput(this.preferredDeviceId);
+    }
+
+    /**
+     * Browsers only start an AudioContext after a click or key press. Resumes
+     * a suspended context on the first one.
+     * @returns {Promise<void>} resolves once the context is running
+     */
+    resumeOnGesture() {
+        const ctx = this.audioCtx;
+        if (!ctx || ctx.state === 'running') return Promise.resolve();
+        return new Promise((resolve) => {
+            const resume = () => {
+                window.removeEventListener('pointerdown', resume, true);
+                window.removeEventListener('keydown', resume, true);
+                ctx.resume().then(resolve, (err) => {
+                    console.warn('[AudioManager] Could not resume the audio context:', err);
+                });
+            };
+            window.addEventListener('pointerdown', resume, true);
+            window.addEventListener('keydown', resume, true);
+        });
+    }
+
+    setPreferredDevice(deviceId) {
+        this.preferredDeviceId = deviceId || null;
+        saveSetting(INPUT_SETTING, { deviceId: this.preferredDeviceId });
+    }
+
+    /**
+     * Opens a microphone stream and makes it the current source.
+     * Throws the getUserMedia error; callers decide how to report it.
+     * @param {string|null} deviceId
+     * @param {string|null} reason - Passed on in `inputchange` ('fallback', 'reconnect')
+     * @param {boolean} keepTestMode - Switch devices behind Test Mode instead of leaving it
+     */
+    async openMic(deviceId, reason = null, keepTestMode = false) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            // mediaDevices is missing on insecure (plain http) pages
+            throw new AudioInputError(window.isSecureContext === false ? 'insecure-context' : 'unsupported', 'mic');
+        }
+        this.ensureContext();
+        const settings = this.getInputSettings(deviceId);
+        const audio = {
+            echoCancellation: settings.echoCancellation,
+            noiseSuppression: settings.noiseSuppression,
+            autoGainControl: settings.autoGainControl,
+            channelCount: { ideal: settings.channelCount }
+        };
+        if (deviceId) audio.deviceId = { exact: deviceId };
+        const stream = await navigator.mediaDevices.getUserMedia({ audio });
+
+        // Stop the existing stream / file source only once the new one is ready
+        this.detachSource();
+        this.stream = stream;
+        this.source = this.audioCtx.createMediaStreamSource(stream);
+        this.micDeviceKey = deviceId || 'default';
+
+        const track = stream.getAudioTracks()[0];
+        const trackSettings = track ? track.getSettings() : {};
+        this.activeDeviceId = trackSettings.deviceId || deviceId;
+        this.micChannels = trackSettings.channelCount || 1;
+        // sourceType may still name the previous source: use the settings of the device being opened
+        this.connectMicChannel(settings.channel);
+        // Unplugged devices end their track; devicechange covers the rest
+        if (track) {
+            track.addEventListener('ended', () => {
+                if (this.stream === stream) this.handleDeviceChange();
+            });
+        }
+
+        this.isLive = true;
+        if (!keepTestMode) this.isTestMode = false;
+        this.sourceType = 'mic';
+        this.resetAnalysis();
+        this.notifyInputChange(reason);
+
+        if (!this.isTestMode && this.audioCtx.state === 'suspended') this.audioCtx.resume();
+
+        console.log(`[AudioManager] Connected to device: ${(track && track.label) || deviceId || 'Default'}`);
+    }
+
+    /**
+     * Input settings stored for a device, merged over the defaults.
+     * @param {string|null} deviceId - null for the default device; omitted for
+     *   the device the settings panel edits (see setInputSettings)
+     */
+    getInputSettings(deviceId = this.inputSettingsDevice()) {
+        const stored = loadSetting(DEVICE_SETTINGS, {})[deviceId || 'default'];
+        return { ...DEFAULT_INPUT_SETTINGS, ...stored };
+    }
+
+    /**
+     * The open microphone, or the one that will open next.
+     * @returns {string|null} device id, null for the default device
+     */
+    inputSettingsDevice() {
+        if (this.sourceType === 'mic') return this.micDeviceKey === 'default' ? null : this.micDeviceKey;
+        return this.preferredDeviceId;
+    }
+
+    /**
+     * Changes the input settings of the open microphone (or of the default
+     * device when none is open) and remembers them for that device. Processing
+     * and channel count changes reopen the stream; a channel change only rewires.
+     * @param {object} changes - Any of the DEFAULT_INPUT_SETTINGS keys
+     * @returns {Promise<void>}
+     */
+    async setInputSettings(changes) {
+        const deviceId = this.inputSettingsDevice();
+        const current = this.getInputSettings(deviceId);
+        const next = { ...current };
+        for (const name of ['echoCancellation', 'noiseSuppression', 'autoGainControl']) {
+            if (changes[name] !== undefined) next[name] = Boolean(changes[name]);
+        }
+        if (changes.channelCount !== undefined) {
+            next.channelCount = Number(changes.channelCount) >= 2 ? 2 : 1;
+        }
+        if (changes.channel !== undefined) {
+            if (INPUT_CHANNELS.includes(changes.channel)) {
+                next.channel = changes.channel;
+            } else {
+                console.warn(`[AudioManager] Ignoring invalid input channel: ${changes.channel}`);
+            }
+        }
+
+        const all = loadSetting(DEVICE_SETTINGS, {});
+        all[deviceId || 'default'] = next;
+        saveSetting(DEVICE_SETTINGS, all);
+        if (this.sourceType !== 'mic' || !this.stream) return;
+
+        const reopen = ['echoCancellation', 'noiseSuppression', 'autoGainControl', 'channelCount']
+            .some(name => next[name] !== current[name]);
+        if (reopen) {
+            await this.openMic(deviceId, 'settings', this.isTestMode);
+        } else if (next.channel !== current.channel) {
+            this.connectMicChannel();
+        }
+    }
+
+    /**
+     * Routes the microphone into the analysis input: all channels (the
+     * analyser and worklet mix them down), or only the left/right one.
+     * @param {string} channel - 'mono' | 'left' | 'right'; defaults to the
+     *   setting of the open microphone
+     */
+    connectMicChannel(channel = this.getInputSettings().channel) {
+        this.source.disconnect();
+        if (this.splitter) {
+            this.splitter.disconnect();
+            this.splitter = null;
+        }
+
+        if (channel === 'mono' || this.micChannels < 2) {
+            if (channel !== 'mono') console.warn(`[AudioManager] Input is mono, ignoring channel "${channel}"`);
+            this.source.connect(this.input);
+            return;
+        }
+        this.splitter = this.audioCtx.createChannelSplitter(this.micChannels);
+        this.source.connect(this.splitter);
+        this.splitter.connect(this.input, channel === 'left' ? 0 : 1);
+        console.log(`[AudioManager] Analysing the ${channel} channel only`);
+    }
+
+    watchDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) return;
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+    }
+
+    /**
+     * A device was plugged in or out (or the current track ended). Publishes
+     * `devicechange`; while the microphone is the source, falls back to the
+     * default device when the active one disappeared, and reconnects the
+     * preferred device when it is back.
+     */
+    handleDeviceChange() {
+        if (this.deviceTask) {
+            this.deviceTask.again = true; // re-check once the running task is done
+            return this.deviceTask.promise;
+        }
+        const task = { again: false, promise: null };
+        this.deviceTask = task;
+        task.promise = (async () => {
+            do {
+                task.again = false;
+                try {
+                    await this.checkDevices();
+                } catch (err) {
+                    console.error('[AudioManager] Device change handling failed:', err);
+                }
+            } while (task.again);
+            this.deviceTask = null;
+        })();
+        return task.promise;
+    }
+
+    async checkDevices() {
+        const devices = await this.getAudioDevices();
+        this.bus.emit('devicechange', { devices });
+        const has = (id) => devices.some(d => d.deviceId === id);
+
+        if (this.micLost) {
+            if (!devices.length) return;
+            const deviceId = has(this.preferredDeviceId) ? this.preferredDeviceId : null;
+            console.log('[AudioManager] Input device plugged in, reconnecting');
+            await this.openMic(deviceId, 'reconnect').catch(err => {
+                console.warn('[AudioManager] Reconnect failed:', err);
+            });
+            return;
+        }
+        if (this.sourceType !== 'mic') return;
+
+        const track = this.stream && this.stream.getAudioTracks()[0];
+        const alive = track && track.readyState === 'live';
+
+        if (this.preferredDeviceId && this.activeDeviceId !== this.preferredDeviceId && has(this.preferredDeviceId)) {
+            console.log('[AudioManager] Preferred input is back, reconnecting');
+            await this.openMic(this.preferredDeviceId, 'reconnect', true).catch(err => {
+                console.warn('[AudioManager] Reconnect failed:', err);
+            });
+            return;
+        }
+
+        // Device labels (and ids) are hidden without permission; only judge a live stream by its track then
+        const missing = devices.some(d => d.deviceId) && this.activeDeviceId && !has(this.activeDeviceId);
+        if (alive && !missing) return;
+
+        console.warn('[AudioManager] Active input disappeared, falling back to the default device');
+        try {
+            await this.openMic(null, 'fallback', true);
+        } catch (err) {
+            console.error('[AudioManager] No input device left:', err);
+            this.activeDeviceId = null;
+            this.stopInput('device-lost');
+            this.micLost = true;
+        }
+    }
+
+    /**
+     * Captures tab/system audio through screen sharing (getDisplayMedia).
+     * The user must tick "Share audio" in the browser's picker; the video
+     * track is not needed and stopped right away.
+     * @returns {Promise<boolean>} false when cancelled or no audio was shared
+     */
+    async enableDisplayCapture() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+            this.reportInputError(new AudioInputError(window.isSecureContext === false ? 'insecure-context' : 'unsupported', 'display'), 'display');
+            return false;
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getDisplayMedia({
+                video: true, // required by most browsers, even if only audio is used
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+                systemAudio: 'include'
+            });
+        } catch (err) {
+            // NotAllowedError: the user closed the picker; nothing to report
+            if (err.name !== 'NotAllowedError') this.reportInputError(err, 'display');
+            return false;
+        }
+
+        const audioTrack = stream.getAudioTracks()[0];
+        stream.getVideoTracks().forEach(track => track.stop());
+        if (!audioTrack) {
+            stream.getTracks().forEach(track => track.stop());
+            this.reportInputError(new AudioInputError('no-audio-shared', 'display'), 'display');
             return false;
         }
+
+        this.ensureContext();
+        this.detachSource();
+
+        this.stream = stream;
+        this.source = this.audioCtx.createMediaStreamSource(new MediaStream([audioTrack]));
+        this.source.connect(this.input);
+
+        // Sharing stopped from the browser UI (or the tab closed)
+        audioTrack.addEventListener('ended', () => {
+            if (this.stream !== stream) return; // already replaced by another input
+            console.log('[AudioManager] Display capture ended');
+            this.stopInput('ended');
+        });
+
+        this.isLive = true;
+        this.isTestMode = false;
+        this.sourceType = 'display';
+        this.resetAnalysis();
+        this.notifyInputChange();
+
+        if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+
+        console.log(`[AudioManager] Capturing display audio: ${audioTrack.label || 'unnamed track'}`);
+        return true;
+    }
+
+    /**
+     * Analyses (and plays) an <audio>/<video> element instead of the microphone.
+     * @param {HTMLMediaElement} mediaElement
+     */
+    enableFileInput(mediaElement) {
+        this.ensureContext();
+        this.detachSource();
+
+        // createMediaElementSource may only be called once per element
+        if (!this.mediaSource || this.mediaSource.mediaElement !== mediaElement) {
+            this.mediaSource = this.audioCtx.createMediaElementSource(mediaElement);
+        }
+        this.mediaSource.disconnect();
+        this.mediaSource.connect(this.input);
+        this.mediaSource.connect(this.audioCtx.destination);
+
+        this.isLive = true;
+        this.isTestMode = false;
+        this.sourceType = 'file';
+        this.resetAnalysis();
+        this.notifyInputChange();
+
+        if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+
+        console.log('[AudioManager] Connected to file playback');
+        return true;
     }
 
     getAverageVolume(array, start, end) {
@@ -100,18 +1235,282 @@ export class AudioManager {
         return count === 0 ? 0 : values / count;
     }
 
+    /**
+     * Full spectrum for the current frame, log-binned into `bandCount` bands
+     * between 20Hz and 20kHz (or Nyquist). Values are 0-100, unnormalized.
+     * The returned array is reused: read it, don't keep it.
+     * In test mode the bands are synthesized from the test-signal levels.
+     * @param {number} bandCount
+     * @returns {Float32Array}
+     */
+    getSpectrum(bandCount = 32) {
+        bandCount = Math.max(1, Math.floor(bandCount));
+        let entry = this.spectrumCache.get(bandCount);
+        if (!entry) {
+            entry = { edges: this.logBandEdges(bandCount), out: new Float32Array(bandCount), frame: -1 };
+            this.spectrumCache.set(bandCount, entry);
+        }
+        if (entry.frame === this.frameCount) return entry.out;
+        entry.frame = this.frameCount;
+
+        const { edges, out } = entry;
+        if (this.isAnalysing()) {
+            for (let i = 0; i < bandCount; i++) {
+                out[i] = (this.getAverageVolume(this.readFrequencyData(), edges[i], edges[i + 1]) / 255) * 100;
+            }
+        } else {
+            // Spread the three synthetic band levels over the bins they cover
+            const { low, mid, high } = this.levels.raw;
+            const binHz = this.getSampleRate() / this.config.fft_size;
+            const bands = this.getBands();
+            for (let i = 0; i < bandCount; i++) {
+                const hz = ((edges[i] + edges[i + 1]) / 2) * binHz;
+                out[i] = hz < bands.low[1] ? low : (hz < bands.mid[1] ? mid : high);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Time-domain waveform (-1..1, `fft_size` samples) for the current frame.
+     * The returned array is reused: read it, don't keep it.
+     * In test mode a deterministic mix of sines following the band levels is returned.
+     * @returns {Float32Array}
+     */
+    getWaveform() {
+        if (!this.waveform) this.waveform = new Float32Array(this.config.fft_size);
+        if (this.waveformFrame === this.frameCount) return this.waveform;
+        this.waveformFrame = this.frameCount;
+
+        if (this.isAnalysing()) {
+            this.analyser.getFloatTimeDomainData(this.waveform);
+        } else {
+            const { low, mid, high } = this.levels.raw;
+            const n = this.waveform.length;
+            for (let i = 0; i < n; i++) {
+                const x = (i / n) * Math.PI * 2;
+                this.waveform[i] = (low * Math.sin(x * 2) + mid * 0.5 * Math.sin(x * 17) + high * 0.25 * Math.sin(x * 97)) / 175;
+            }
+        }
+        return this.waveform;
+    }
+
+    /**
+     * RMS and peak level (dBFS) of the analysed input, and whether it clips.
+     */
+    measureInput() {
+        const samples = this.getWaveform();
+        let sum = 0, peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const abs = Math.abs(samples[i]);
+            sum += abs * abs;
+            if (abs > peak) peak = abs;
+        }
+        const level = this.inputLevel;
+        level.rms = 20 * Math.log10(Math.sqrt(sum / samples.length) + 1e-9);
+        level.peak = 20 * Math.log10(peak + 1e-9);
+        level.clipping = peak >= CLIP_LEVEL;
+    }
+
+    /**
+     * Per-band pan and the balance/width of the current frame: measured on the
+     * two channels, the test signal's panning, or centred for sources without
+     * audio (replays, WebSocket).
+     * @returns {{low: number, mid: number, high: number, balance: number, width: number}}
+     *   pans and balance -1 (left) .. 1 (right), width 0..1 (reused)
+     */
+    readStereo() {
+        const frame = this.stereoFrame;
+        if (this.isAnalysing()) {
+            const [leftAnalyser, rightAnalyser] = this.stereoAnalysers;
+            const [left, right] = this.stereoData;
+            leftAnalyser.getByteFrequencyData(left);
+            rightAnalyser.getByteFrequencyData(right);
+            frame.low = this.bandPan(left, right, this.bassRange);
+            frame.mid = this.bandPan(left, right, this.midRange);
+            frame.high = this.bandPan(left, right, this.highRange);
+
+            // Balance from the channel levels, width from the side (L - R) vs mid (L + R) level
+            const [leftWave, rightWave] = this.stereoWaves;
+            leftAnalyser.getFloatTimeDomainData(leftWave);
+            rightAnalyser.getFloatTimeDomainData(rightWave);
+            let sumLeft = 0, sumRight = 0, sumMid = 0, sumSide = 0;
+            for (let i = 0; i < leftWave.length; i++) {
+                const l = leftWave[i];
+                const r = rightWave[i];
+                sumLeft += l * l;
+                sumRight += r * r;
+                sumMid += (l + r) * (l + r);
+                sumSide += (l - r) * (l - r);
+            }
+            const n = leftWave.length;
+            const rmsLeft = Math.sqrt(sumLeft / n);
+            const rmsRight = Math.sqrt(sumRight / n);
+            const rmsMid = Math.sqrt(sumMid / n);
+            const rmsSide = Math.sqrt(sumSide / n);
+            frame.balance = rmsLeft + rmsRight > STEREO_MIN_RMS ? (rmsRight - rmsLeft) / (rmsRight + rmsLeft) : 0;
+            frame.width = rmsMid + rmsSide > STEREO_MIN_RMS ? rmsSide / (rmsMid + rmsSide) : 0;
+            return frame;
+        }
+        if (this.isTestMode || !this.isLive) return this.testSignal.stereo(frame);
+        frame.low = frame.mid = frame.high = 0;
+        frame.balance = frame.width = 0;
+        return frame;
+    }
+
+    /**
+     * Pan of one band: 0 when both channels are equally loud, towards -1/1 as
+     * the right/left channel gets quieter than the other.
+     */
+    bandPan(left, right, [start, end]) {
+        const l = this.getAverageVolume(left, start, end);
+        const r = this.getAverageVolume(right, start, end);
+        const louder = Math.max(l, r);
+        return louder > 0 ? (r - l) / louder : 0;
+    }
+
+    /**
+     * Fills the `stereo` payload: the louder channel of a band carries the
+     * band's final level (after gain and sensitivity), the other one is scaled
+     * down by the pan; balance and width are smoothed.
+     */
+    updateStereo(frame, dt) {
+        const { raw } = this.levels;
+        const stereo = this.stereo;
+        for (const name of BAND_NAMES) {
+            const pan = frame[name];
+            stereo.left[name] = Math.floor(raw[name] * Math.min(1, 1 - pan));
+            stereo.right[name] = Math.floor(raw[name] * Math.min(1, 1 + pan));
+        }
+        const k = 1 - Math.exp(-dt / STEREO_SMOOTHING);
+        stereo.balance += (frame.balance - stereo.balance) * k;
+        stereo.width += (frame.width - stereo.width) * k;
+    }
+
+    /**
+     * Per-channel bands and the stereo balance/width of the current frame
+     * (the same reused object the `stereo` event carries).
+     * @returns {{left: {low, mid, high}, right: {low, mid, high}, balance: number, width: number}}
+     */
+    getStereo() {
+        return this.stereo;
+    }
+
+    /**
+     * Level (0-100) of a [start, end) bin range of the current frame's spectrum.
+     */
+    rangeLevel([start, end]) {
+        return (this.getAverageVolume(this.readFrequencyData(), start, end) / 255) * 100;
+    }
+
+    /**
+     * Spectral centroid, flux, RMS and crest factor of the current frame, each
+     * 0-100 (the same reused object the `features` event carries).
+     * @returns {{centroid: number, flux: number, rms: number, crest: number}}
+     */
+    getFeatures() {
+        return this.spectralFeatures.features;
+    }
+
+    /**
+     * Raw pitch-class energies for the current frame: folded from the FFT,
+     * the test signal's chord, or nothing for sources without audio (replays).
+     * @returns {Float32Array} 12 values, reused
+     */
+    readChroma() {
+        if (this.isAnalysing()) {
+            return this.chromaAnalyser.fromSpectrum(this.readFrequencyData(), this.getSampleRate() / this.config.fft_size, this.chromaFrame);
+        }
+        if (this.isTestMode || !this.isLive) return this.testSignal.chroma(this.chromaFrame);
+        return this.chromaFrame.fill(0);
+    }
+
+    /**
+     * Chroma, dominant pitch class and estimated key of the current frame
+     * (the same reused object the `harmony` event carries).
+     * @returns {{chroma: Float32Array, pitchClass: number, pitchName: string|null,
+     *   key: number, mode: string|null, keyName: string|null, confidence: number}}
+     */
+    getHarmony() {
+        return this.chromaAnalyser.harmony;
+    }
+
+    /**
+     * [start, end) bin indices of `bandCount` log-spaced bands (length bandCount + 1).
+     */
+    logBandEdges(bandCount) {
+        const binCount = this.config.fft_size / 2;
+        const binHz = this.getSampleRate() / this.config.fft_size;
+        const minHz = 20;
+        const maxHz = Math.min(20000, (binCount - 1) * binHz);
+        const edges = new Int32Array(bandCount + 1);
+        for (let i = 0; i <= bandCount; i++) {
+            const hz = minHz * Math.pow(maxHz / minHz, i / bandCount);
+            edges[i] = Math.min(binCount, Math.round(hz / binHz));
+        }
+        // Every band gets at least one bin, even where low bands are narrower than a bin
+        for (let i = 1; i <= bandCount; i++) {
+            if (edges[i] <= edges[i - 1]) edges[i] = Math.min(binCount, edges[i - 1] + 1);
+        }
+        return edges;
+    }
+
+    getSampleRate() {
+        return this.audioCtx ? this.audioCtx.sampleRate : 48000;
+    }
+
+    /**
+     * True when the analyser (not the test signal) produces the current frame.
+     */
+    isAnalysing() {
+        return this.isLive && !this.isTestMode && !this.provider;
+    }
+
+    /**
+     * Forgets everything learned from the previous input (tempo, level ranges).
+     */
+    resetAnalysis() {
+        this.beatDetector.reset();
+        for (const name of BAND_NAMES) {
+            this.autoGain[name].reset();
+            this.envelopes[name].reset();
+        }
+        this.chromaAnalyser.reset();
+        this.spectralFeatures.reset();
+        this.transientDetector.reset();
+        this.stereo.balance = 0;
+        this.stereo.width = 0;
+        // A new source starts out as "not silent" and outside any build-up
+        this.resetSilence();
+        const { buildup } = this.sectionDetector;
+        const wasBuilding = buildup.active;
+        this.sectionDetector.reset();
+        if (wasBuilding) this.bus.emit('buildup', buildup);
+        this.workletOnsets.length = 0;
+        this.workletPeakReset = true;
+    }
+
     startLoop() {
-        const loop = () => {
+        const loop = (now = performance.now()) => {
             this.rafId = requestAnimationFrame(loop);
+            this.frameCount++;
 
             let low = 0, mid = 0, high = 0;
+            let external = null; // frame from a provider (replay, WebSocket), if any
+            let onsets = null;   // onsets detected by the worklet since the last frame
 
             if (this.isTestMode || !this.isLive) {
-                low = Math.random() * 100;
-                mid = Math.random() * 100;
-                high = Math.random() * 100;
+                ({ low, mid, high } = this.testSignal.sample(now));
+            } else if (this.provider) {
+                external = this.provider.read(now);
+                ({ low, mid, high } = external);
+            } else if (this.workletNode) {
+                // Peak of the ~5ms windows since the last frame, so short transients aren't lost
+                ({ low, mid, high } = this.workletLevels);
+                this.workletPeakReset = true;
+                onsets = this.workletOnsets;
             } else {
-                this.analyser.getByteFrequencyData(this.dataArray);
+                this.readFrequencyData();
                 const bassAvg = this.getAverageVolume(this.dataArray, this.bassRange[0], this.bassRange[1]);
                 const midAvg = this.getAverageVolume(this.dataArray, this.midRange[0], this.midRange[1]);
                 const highAvg = this.getAverageVolume(this.dataArray, this.highRange[0], this.highRange[1]);
@@ -121,13 +1520,115 @@ export class AudioManager {
                 high = (highAvg / 255) * 100 * 1.2;
             }
 
+            const dt = this.lastFrameTime === null ? 0 : Math.min(0.25, (now - this.lastFrameTime) / 1000);
+            this.lastFrameTime = now;
+
+            // Silence is judged on the input before normalization: AGC would turn room noise into "music"
+            if (this.isAnalysing()) {
+                this.measureInput();
+            } else {
+                // Synthetic sources: derive a level from the loudest band, they never clip
+                const level = this.inputLevel;
+                level.rms = LEVEL_MIN_DB + (Math.max(low, mid, high) / 100) * (LEVEL_MAX_DB - LEVEL_MIN_DB);
+                level.peak = level.rms + 3;
+                level.clipping = false;
+            }
+            const silenceChange = this.silenceDetector.process(this.inputLevel.rms, dt);
+            // Build-ups and drops likewise: AGC would stretch a breakdown back to full scale
+            const section = this.sectionDetector.process(low, mid, high, dt, now, this.beatClock.tempo.bpm);
+
+            // Level normalization: rolling floor/peak per band, or the manual gain
+            if (external && this.provider.normalized) {
+                // Already normalized at the source
+            } else if (this.config.agc) {
+                low = this.autoGain.low.process(low, dt);
+                mid = this.autoGain.mid.process(mid, dt);
+                high = this.autoGain.high.process(high, dt);
+            } else {
+                low *= this.config.gain;
+                mid *= this.config.gain;
+                high *= this.config.gain;
+            }
+
             // Clamp
             low = Math.min(100, Math.max(0, low));
             mid = Math.min(100, Math.max(0, mid));
             high = Math.min(100, Math.max(0, high));
 
-            if (window.currentAnimation && typeof window.currentAnimation.updateFrequencies === 'function') {
-                window.currentAnimation.updateFrequencies(Math.floor(low), Math.floor(mid), Math.floor(high));
+            // Operator sensitivity on top. Beat detection and recordings keep the
+            // normalized levels, so gates don't swallow kicks and replays can be re-tuned.
+            const { raw, smoothed } = this.levels;
+            raw.low = this.applySensitivity('low', low);
+            raw.mid = this.applySensitivity('mid', mid);
+            raw.high = this.applySensitivity('high', high);
+            smoothed.low = this.envelopes.low.process(raw.low, dt);
+            smoothed.mid = this.envelopes.mid.process(raw.mid, dt);
+            smoothed.high = this.envelopes.high.process(raw.high, dt);
+            this.updateStereo(this.readStereo(), dt);
+            this.spectralFeatures.process(this.getSpectrum(FEATURE_BANDS), this.inputLevel);
+
+            let beat;
+            if (this.clockSync) {
+                // An external clock (MIDI) owns tempo and phase
+                beat = null;
+                for (const tick of this.clockBeats) beat = this.beatDetector.sync(tick.time, tick.bpm);
+                this.clockBeats.length = 0;
+                if (onsets) onsets.length = 0;
+                this.beatDetector.update(now);
+            } else if (external && external.beat !== undefined) {
+                // The source knows its beats (and maybe its tempo): skip onset detection
+                if (!(external.beat > 0)) beat = null;
+                else if (external.bpm > 0) beat = this.beatDetector.sync(now, external.bpm, external.beat);
+                else beat = this.beatDetector.trigger(now, external.beat);
+                this.beatDetector.update(now);
+            } else if (onsets) {
+                // Audio-clock accurate onsets from the worklet
+                beat = null;
+                for (const onset of onsets) beat = this.beatDetector.trigger(onset.time, onset.strength);
+                onsets.length = 0;
+                this.beatDetector.update(now);
+            } else {
+                beat = this.beatDetector.process(low, now);
+            }
+
+            // The shared clock follows that tempo, unless the operator set one: then its grid makes the beats
+            const tempoSource = this.clockSync ? 'midi' : (external && external.beat !== undefined ? 'external' : 'detect');
+            const gridBeat = this.beatClock.update(now, this.beatDetector.tempo, tempoSource);
+            if (this.beatClock.manual) beat = gridBeat;
+            else if (beat) beat.beatInBar = this.beatClock.tempo.beatInBar;
+
+            // Drum hits: narrow bands of the spectrum, or the normalized bands of synthetic sources
+            const { kick, snare, hihat } = this.transientRanges;
+            const hits = this.isAnalysing()
+                ? this.transientDetector.process(this.rangeLevel(kick), this.rangeLevel(snare), this.rangeLevel(hihat), now)
+                : this.transientDetector.process(low, mid, high, now);
+
+            const keyChanged = this.chromaAnalyser.process(this.readChroma(), dt);
+
+            if (this.recorder) this.recorder.record(now, low, mid, high, beat);
+
+            this.frequencies.low = Math.floor(raw.low);
+            this.frequencies.mid = Math.floor(raw.mid);
+            this.frequencies.high = Math.floor(raw.high);
+            this.bus.emit('frequencies', this.frequencies);
+            this.bus.emit('stereo', this.stereo);
+            this.bus.emit('features', this.spectralFeatures.features);
+            this.bus.emit('tempo', this.beatClock.tempo);
+            if (beat) this.bus.emit('beat', beat);
+            for (const hit of hits) this.bus.emit('transient', hit);
+            this.bus.emit('harmony', this.chromaAnalyser.harmony);
+            if (keyChanged) this.bus.emit('keychange', this.chromaAnalyser.harmony);
+            if (section === 'drop') {
+                const { buildup, drop } = this.sectionDetector;
+                if (drop.afterBuildup) this.bus.emit('buildup', buildup); // now inactive
+                this.bus.emit('drop', drop);
+            } else if (section) {
+                this.bus.emit('buildup', this.sectionDetector.buildup);
+            }
+            if (silenceChange === 'silence') {
+                this.bus.emit('silence', { level: this.inputLevel.rms, threshold: this.silenceDetector.threshold });
+            } else if (silenceChange === 'resume') {
+                this.bus.emit('resume', { duration: this.silenceDetector.silentTime });
             }
         };
         loop();
@@ -0,0 +1,49 @@
+// auto-gain.js
+/**
+ * Rolling noise floor / peak tracker for one band. Stretches whatever range the
+ * input currently uses to 0-100, so a quiet living room and a loud club both
+ * drive animations across the full scale.
+ */
+export class AutoGain {
+    constructor(options = {}) {
+        this.floorRise = options.floorRise || 2;     // units/s the floor creeps up during sustained sound
+        this.floorFall = options.floorFall || 40;    // units/s the floor follows quieter input
+        this.peakFall = options.peakFall || 4;       // units/s the peak relaxes after loud passages
+        this.minSpan = options.minSpan || 15;        // never stretch less than this range (keeps noise quiet)
+        this.reset();
+    }
+
+    reset() {
+        this.floor = null;
+        this.peak = null;
+    }
+
+    /**
+     * @param {number} value - Raw band level (0-100)
+     * @param {number} dt - Seconds since the previous frame
+     * @returns {number} normalized level (0-100)
+     */
+    process(value, dt) {
+        if (this.floor === null) {
+            this.floor = value;
+            this.peak = value + this.minSpan;
+        }
+
+        // Floor: drops quickly to quiet input, rises slowly so beats don't lift it
+        if (value < this.floor) {
+            this.floor = Math.max(value, this.floor - this.floorFall * dt);
+        } else {
+            this.floor = Math.min(value, this.floor + this.floorRise * dt);
+        }
+
+        // Peak: jumps to loud input, decays slowly
+        if (value > this.peak) {
+            this.peak = value;
+        } else {
+            this.peak = Math.max(value, this.peak - this.peakFall * dt);
+        }
+        this.peak = Math.max(this.peak, this.floor + this.minSpan);
+
+        return Math.min(100, Math.max(0, ((value - this.floor) / (this.peak - this.floor)) * 100));
+    }
+}
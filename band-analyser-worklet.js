@@ -0,0 +1,148 @@
+// band-analyser-worklet.js
+/**
+ * AudioWorklet processor: splits the input into low/mid/high with biquad
+ * filters and measures each band's energy at audio rate, independent of the
+ * display refresh rate and of tab throttling.
+ *
+ * Posts to the main thread, once per analysis window (~5ms):
+ *   { time, low, mid, high, onset }
+ * `time` is the audio-clock time (s) at the end of the window, levels are 0-100
+ * (band RMS mapped from [minDb, maxDb] dBFS), and `onset` is null or
+ * { time, strength } for a bass onset inside the window.
+ *
+ * Accepts { type: 'config', bands: { low: [fromHz, toHz], ... } } on its port.
+ */
+
+const WINDOW_SIZE = 256;       // samples per analysis window
+const MIN_DB = -70;            // band RMS mapped to 0 (not the analyser's scale, see DEFAULT_AUDIO_CONFIG.analysis)
+const MAX_DB = -10;            // band RMS mapped to 100
+const ONSET_RATIO = 2.0;       // energy jump over the running average (~+3dB)
+const ONSET_MIN_LEVEL = 12;    // ignore onsets in near silence (0-100 scale)
+const ONSET_MIN_GAP = 0.28;    // s, refractory period
+const AVERAGE_TIME = 0.5;      // s, time constant of the running energy average
+
+class Biquad {
+    /**
+     * RBJ cookbook 2nd-order low/high pass, Q = 1/sqrt(2).
+     * @param {'lowpass'|'highpass'} type
+     * @param {number} freq - Cutoff in Hz
+     */
+    constructor(type, freq) {
+        const w0 = 2 * Math.PI * freq / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+        const a0 = 1 + alpha;
+        const b0 = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+        const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+
+        this.b0 = b0 / a0;
+        this.b1 = b1 / a0;
+        this.b2 = b0 / a0;
+        this.a1 = (-2 * cos) / a0;
+        this.a2 = (1 - alpha) / a0;
+        this.z1 = 0;
+        this.z2 = 0;
+    }
+
+    process(x) {
+        // Transposed direct form II
+        const y = this.b0 * x + this.z1;
+        this.z1 = this.b1 * x - this.a1 * y + this.z2;
+        this.z2 = this.b2 * x - this.a2 * y;
+        return y;
+    }
+}
+
+/**
+ * Filter chain for one band; edges at 0Hz or near Nyquist are left open.
+ */
+function createChain([fromHz, toHz]) {
+    const chain = [];
+    if (fromHz > 0) chain.push(new Biquad('highpass', fromHz));
+    if (toHz < sampleRate * 0.45) chain.push(new Biquad('lowpass', toHz));
+    return chain;
+}
+
+function toLevel(meanSquare) {
+    const db = 10 * Math.log10(meanSquare + 1e-12);
+    return Math.min(100, Math.max(0, ((db - MIN_DB) / (MAX_DB - MIN_DB)) * 100));
+}
+
+class BandAnalyserProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const bands = (options.processorOptions && options.processorOptions.bands) || {
+            low: [0, 200], mid: [200, 2000], high: [2000, 16000]
+        };
+        this.configure(bands);
+
+        this.sums = new Float64Array(3);
+        this.count = 0;
+        this.lowAverage = 0;
+        this.lastOnset = -Infinity;
+        this.averageCoeff = 1 - Math.exp(-(WINDOW_SIZE / sampleRate) / AVERAGE_TIME);
+
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'config' && event.data.bands) {
+                this.configure(event.data.bands);
+            }
+        };
+    }
+
+    configure(bands) {
+        this.chains = [createChain(bands.low), createChain(bands.mid), createChain(bands.high)];
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || !input.length) return true;
+
+        const channels = input.length;
+        const frames = input[0].length;
+        for (let i = 0; i < frames; i++) {
+            // Mono mix-down
+            let x = 0;
+            for (let c = 0; c < channels; c++) x += input[c][i];
+            x /= channels;
+
+            for (let b = 0; b < 3; b++) {
+                let y = x;
+                const chain = this.chains[b];
+                for (let f = 0; f < chain.length; f++) y = chain[f].process(y);
+                this.sums[b] += y * y;
+            }
+
+            if (++this.count === WINDOW_SIZE) {
+                // currentTime is the start of this render quantum
+                this.flush(currentTime + (i + 1) / sampleRate);
+            }
+        }
+        return true;
+    }
+
+    flush(time) {
+        const lowEnergy = this.sums[0] / WINDOW_SIZE;
+        const low = toLevel(lowEnergy);
+        const mid = toLevel(this.sums[1] / WINDOW_SIZE);
+        const high = toLevel(this.sums[2] / WINDOW_SIZE);
+
+        let onset = null;
+        if (
+            this.lowAverage > 0 &&
+            lowEnergy > this.lowAverage * ONSET_RATIO &&
+            low >= ONSET_MIN_LEVEL &&
+            time - this.lastOnset >= ONSET_MIN_GAP
+        ) {
+            this.lastOnset = time;
+            onset = { time, strength: Math.min(100, (lowEnergy / this.lowAverage - 1) * 50) };
+        }
+        this.lowAverage += (lowEnergy - this.lowAverage) * this.averageCoeff;
+
+        this.port.postMessage({ time, low, mid, high, onset });
+
+        this.sums.fill(0);
+        this.count = 0;
+    }
+}
+
+registerProcessor('band-analyser', BandAnalyserProcessor);
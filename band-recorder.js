@@ -0,0 +1,137 @@
+// band-recorder.js
+/**
+ * Records the band values AudioManager sends to animations, and replays
+ * such a recording as an input source in place of the microphone.
+ *
+ * File format (JSON):
+ *   { format: 'partyviz-bands', version: 1, created, columns: [...], frames: [[t, low, mid, high, beat], ...] }
+ * `t` is ms since the start of the recording, `beat` the beat strength (0 = no beat).
+ */
+
+export const RECORDING_FORMAT = 'partyviz-bands';
+const COLUMNS = ['t', 'low', 'mid', 'high', 'beat'];
+const MAX_DURATION = 60 * 60 * 1000; // ms; ~200k frames at 60fps, a few MB of JSON
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+export class BandRecorder {
+    /**
+     * @param {number} maxDuration - ms after which further frames are dropped
+     */
+    constructor(maxDuration = MAX_DURATION) {
+        this.frames = [];
+        this.startTime = null;
+        this.created = null;
+        this.maxDuration = maxDuration;
+        this.full = false; // maxDuration reached: stop and save
+    }
+
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1][0] : 0;
+    }
+
+    /**
+     * @param {number} now - Timestamp in ms
+     * @param {number} low
+     * @param {number} mid
+     * @param {number} high
+     * @param {object|null} beat - Beat info of this frame, if any
+     */
+    record(now, low, mid, high, beat) {
+        if (this.startTime === null) {
+            this.startTime = now;
+            this.created = new Date().toISOString();
+        }
+        if (now - this.startTime > this.maxDuration) {
+            this.full = true;
+            return;
+        }
+        this.frames.push([
+            round1(now - this.startTime),
+            round1(low),
+            round1(mid),
+            round1(high),
+            beat ? Math.max(1, round1(beat.strength)) : 0
+        ]);
+    }
+
+    toJSON() {
+        return {
+            format: RECORDING_FORMAT,
+            version: 1,
+            created: this.created,
+            columns: COLUMNS,
+            frames: this.frames
+        };
+    }
+}
+
+/**
+ * Plays a recording back frame by frame. Implements the provider interface
+ * AudioManager uses for non-analyser sources: `read(now)` returns the frame
+ * to use for that moment.
+ */
+export class BandReplay {
+    /**
+     * @param {object} data - Parsed recording JSON
+     * @param {string} name - Shown in the UI (usually the file name)
+     */
+    constructor(data, name = 'recording') {
+        if (!data || data.format !== RECORDING_FORMAT || !Array.isArray(data.frames) || !data.frames.length) {
+            throw new Error('Not a PartyViz band recording');
+        }
+        const columns = data.columns || COLUMNS;
+        this.col = Object.fromEntries(COLUMNS.map(key => [key, columns.indexOf(key)]));
+        if (this.col.t < 0 || this.col.low < 0 || this.col.mid < 0 || this.col.high < 0) {
+            throw new Error('Recording is missing required columns');
+        }
+
+        this.name = name;
+        this.frames = data.frames;
+        this.hasBeats = this.col.beat >= 0;
+        this.duration = this.frames[this.frames.length - 1][this.col.t];
+        this.loop = true;
+        this.normalized = true; // values were recorded after AGC/gain: don't apply them twice
+
+        this.startTime = null;
+        this.next = 0; // index of the first frame not yet played
+        this.frame = { low: 0, mid: 0, high: 0, beat: undefined }; // reused between reads
+    }
+
+    restart() {
+        this.startTime = null;
+        this.next = 0;
+    }
+
+    /**
+     * @param {number} now - Timestamp in ms
+     * @returns {{low: number, mid: number, high: number, beat: number|undefined}}
+     *   `beat` is the strongest recorded beat since the previous read (0 = none),
+     *   or undefined if the recording has no beat column.
+     */
+    read(now) {
+        if (this.startTime === null) this.startTime = now;
+        let elapsed = now - this.startTime;
+
+        if (elapsed > this.duration && this.loop) {
+            this.startTime = now;
+            this.next = 0;
+            elapsed = 0;
+        }
+
+        const { t, low, mid, high, beat } = this.col;
+        let beatStrength = 0;
+        // Consume every frame that is due, so beats between reads aren't lost
+        while (this.next < this.frames.length && this.frames[this.next][t] <= elapsed) {
+            if (this.hasBeats) beatStrength = Math.max(beatStrength, this.frames[this.next][beat]);
+            this.next++;
+        }
+
+        const current = this.frames[Math.max(0, this.next - 1)];
+        this.frame.low = current[low];
+        this.frame.mid = current[mid];
+        this.frame.high = current[high];
+        this.frame.beat = this.hasBeats ? beatStrength : undefined;
+        return this.frame;
+    }
+}
@@ -0,0 +1,154 @@
+// beat-clock.js
+/**
+ * The shared beat/bar clock every animation sees through `tempo`. It follows
+ * whichever tempo source is active (beat detection, an external sender, MIDI
+ * clock) until the operator takes over by tapping or typing a BPM; from then
+ * on it runs its own steady grid and produces the beats itself, until
+ * released back to automatic. Bars are counted from phase wraps; `resync()`
+ * declares the current beat a downbeat.
+ */
+const TAP_RESET = 2000;   // ms between taps that starts a new tap sequence
+const MAX_TAPS = 8;       // taps averaged for the tempo
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+
+export class BeatClock {
+    constructor({ beatsPerBar = 4 } = {}) {
+        this.beatsPerBar = beatsPerBar;
+        this.manual = false;  // tempo set by the operator (taps, BPM field)
+        this.bpm = 0;         // manual tempo
+        this.anchor = 0;      // ms, a beat of the manual grid
+        this.taps = [];       // timestamps of the current tap sequence
+
+        this.beatCount = 0;   // beats counted so far (phase wraps), for the bar position
+        this.lastPhase = 0;
+
+        // Reused objects handed to animations (no per-frame allocations)
+        this.tempo = { bpm: 0, phase: 0, confidence: 0, beat: 0, beatInBar: 0, barPhase: 0, source: 'detect' };
+        this.beat = { time: 0, strength: 100, bpm: 0, phase: 0, confidence: 1, beatInBar: 0 };
+    }
+
+    /**
+     * Advances the clock by one frame.
+     * @param {number} now - Timestamp in ms
+     * @param {{bpm: number, phase: number, confidence: number}} source - Tempo of the
+     *   automatic source (ignored while manual)
+     * @param {string} sourceName - 'detect' | 'external' | 'midi'
+     * @returns {object|null} in manual mode, the beat info when a grid beat passed
+     *   in this frame; otherwise null (beats come from the source)
+     */
+    update(now, source, sourceName) {
+        let bpm, phase, confidence;
+        if (this.manual) {
+            bpm = this.bpm;
+            phase = this.phaseAt(now);
+            confidence = 1;
+        } else {
+            ({ bpm, phase, confidence } = source);
+        }
+
+        // Phase falling back by more than half a beat: a new beat started
+        const wrapped = bpm > 0 && phase < this.lastPhase - 0.5;
+        if (wrapped) this.beatCount++;
+        this.lastPhase = phase;
+
+        const tempo = this.tempo;
+        tempo.bpm = bpm;
+        tempo.phase = phase;
+        tempo.confidence = confidence;
+        tempo.beat = this.beatCount;
+        tempo.beatInBar = ((this.beatCount % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+        tempo.barPhase = (tempo.beatInBar + phase) / this.beatsPerBar;
+        tempo.source = this.manual ? (this.taps.length ? 'tap' : 'manual') : sourceName;
+
+        if (!this.manual || !wrapped) return null;
+        const beat = this.beat;
+        beat.time = now;
+        beat.bpm = bpm;
+        beat.beatInBar = tempo.beatInBar;
+        return beat;
+    }
+
+    phaseAt(now) {
+        if (!this.bpm) return 0;
+        const period = 60000 / this.bpm;
+        const phase = ((now - this.anchor) % period) / period;
+        return phase < 0 ? phase + 1 : phase;
+    }
+
+    /**
+     * One tap of the tempo button/key. Two or more taps set a manual tempo
+     * (averaged over the last few), and every tap puts a beat on the grid.
+     * @param {number} now - Timestamp in ms
+     * @returns {number} the manual BPM, 0 after the first tap of a sequence
+     */
+    tap(now) {
+        const taps = this.taps;
+        if (taps.length && now - taps[taps.length - 1] > TAP_RESET) taps.length = 0;
+        taps.push(now);
+        if (taps.length > MAX_TAPS) taps.shift();
+        if (taps.length < 2) return this.manual ? this.bpm : 0;
+
+        const bpm = (60000 * (taps.length - 1)) / (now - taps[0]);
+        this.manual = true;
+        this.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, bpm));
+        // The tap is a beat; landing late in the old beat counts as the next one
+        this.anchor = now;
+        return this.bpm;
+    }
+
+    /**
+     * Sets a manual tempo, keeping the current phase.
+     * @param {number} bpm
+     * @param {number} now - Timestamp in ms
+     */
+    setBpm(bpm, now) {
+        bpm = Number(bpm);
+        if (!Number.isFinite(bpm) || bpm <= 0) return;
+        const current = this.tempo;
+        // Re-anchor on the beat the phase is currently in, so the grid doesn't jump
+        this.anchor = current.bpm > 0 ? now - current.phase * (60000 / current.bpm) : now;
+        this.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, bpm));
+        this.manual = true;
+        this.taps.length = 0;
+    }
+
+    /**
+     * Shifts the manual grid by a few ms (positive = later), e.g. when the
+     * beats are audibly early or late. Takes over the current tempo if needed.
+     * @param {number} ms
+     * @param {number} now - Timestamp in ms
+     */
+    nudge(ms, now) {
+        if (!this.manual) {
+            if (!this.tempo.bpm) return;
+            this.setBpm(this.tempo.bpm, now);
+        }
+        this.anchor += ms;
+    }
+
+    /**
+     * Declares the beat at `now` a downbeat (beat 1 of the bar). In manual mode
+     * the grid also restarts at `now`.
+     * @param {number} now - Timestamp in ms
+     */
+    resync(now) {
+        // The current beat if we are early in it, otherwise the one about to come
+        const current = this.manual || this.tempo.phase < 0.5;
+        if (this.manual) {
+            this.anchor = now;
+            this.lastPhase = 0; // the restart is not a new beat
+        }
+        const bars = Math.round(this.beatCount / this.beatsPerBar) * this.beatsPerBar;
+        this.beatCount = current ? bars : bars - 1;
+        this.tempo.beatInBar = ((this.beatCount % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+    }
+
+    /**
+     * Back to the automatic tempo source.
+     */
+    release() {
+        this.manual = false;
+        this.taps.length = 0;
+    }
+}
@@ -0,0 +1,194 @@
+// beat-detector.js
+/**
+ * Onset detection + tempo tracking on the normalized LOW band (0-100).
+ * Works on band levels rather than raw FFT data, so it behaves the same
+ * for the microphone and the test-mode generator.
+ */
+export class BeatDetector {
+    constructor(options = {}) {
+        this.historySize = options.historySize || 43;       // ~0.7s of frames at 60Hz
+        this.threshold = options.threshold || 1.35;         // onset when level > avg * threshold
+        this.minLevel = options.minLevel || 12;             // ignore onsets in near silence
+        this.minInterval = options.minInterval || 280;      // ms, refractory period (~214 BPM max)
+        this.minBpm = options.minBpm || 70;
+        this.maxBpm = options.maxBpm || 180;
+
+        this.history = new Float32Array(this.historySize);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.prevLevel = 0;
+
+        this.onsets = [];            // recent onset timestamps (ms)
+        this.maxOnsets = 24;
+        this.lastOnset = -Infinity;
+
+        this.bpm = 0;
+        this.confidence = 0;
+        this.anchor = 0;             // time (ms) of the beat the phase is measured from
+
+        // Reused objects handed to animations (no per-frame allocations)
+        this.beat = { time: 0, strength: 0, bpm: 0, phase: 0, confidence: 0, beatInBar: 0 }; // beatInBar: set by BeatClock
+        this.tempo = { bpm: 0, phase: 0, confidence: 0 };
+    }
+
+    reset() {
+        this.history.fill(0);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.prevLevel = 0;
+        this.onsets.length = 0;
+        this.lastOnset = -Infinity;
+        this.bpm = 0;
+        this.confidence = 0;
+        this.anchor = 0;
+    }
+
+    /**
+     * Feeds one frame of the LOW band.
+     * @param {number} level - Bass level (0-100)
+     * @param {number} now - Timestamp in ms (performance.now() / rAF time)
+     * @returns {object|null} the beat info when an onset was detected, else null
+     */
+    process(level, now) {
+        let avg = 0;
+        for (let i = 0; i < this.historyFilled; i++) avg += this.history[i];
+        avg = this.historyFilled ? avg / this.historyFilled : 0;
+
+        const rising = level > this.prevLevel;
+        const isOnset = this.historyFilled >= 10 &&
+            rising &&
+            level >= this.minLevel &&
+            level > avg * this.threshold &&
+            (now - this.lastOnset) >= this.minInterval;
+
+        this.history[this.historyIndex] = level;
+        this.historyIndex = (this.historyIndex + 1) % this.historySize;
+        if (this.historyFilled < this.historySize) this.historyFilled++;
+        this.prevLevel = level;
+
+        const result = isOnset
+            ? this.trigger(now, Math.min(100, avg > 0 ? ((level - avg) / avg) * 100 : 100))
+            : null;
+        this.update(now);
+        return result;
+    }
+
+    /**
+     * Registers a beat that was detected elsewhere (a recording, an external
+     * source) so tempo and phase keep tracking without local onset detection.
+     * @param {number} now - Timestamp in ms
+     * @param {number} strength - 0-100
+     * @returns {object} the beat info
+     */
+    trigger(now, strength) {
+        this.registerOnset(now);
+        this.beat.time = now;
+        this.beat.strength = strength;
+        this.beat.bpm = this.bpm;
+        this.beat.phase = 0;
+        this.beat.confidence = this.confidence;
+        return this.beat;
+    }
+
+    /**
+     * Follows an external clock (MIDI, a sender with tempo): takes its tempo and puts a beat at `now`.
+     * Onsets collected before are dropped, so detection starts fresh once the
+     * clock stops.
+     * @param {number} now - Timestamp in ms
+     * @param {number} bpm
+     * @param {number} strength - 0-100
+     * @returns {object} the beat info
+     */
+    sync(now, bpm, strength = 100) {
+        this.onsets.length = 0;
+        this.lastOnset = now;
+        this.bpm = bpm;
+        this.confidence = 1;
+        this.anchor = now;
+        this.beat.time = now;
+        this.beat.strength = strength;
+        this.beat.bpm = bpm;
+        this.beat.phase = 0;
+        this.beat.confidence = 1;
+        return this.beat;
+    }
+
+    /**
+     * Refreshes the per-frame tempo info.
+     */
+    update(now) {
+        this.tempo.bpm = this.bpm;
+        this.tempo.phase = this.getPhase(now);
+        this.tempo.confidence = this.confidence;
+    }
+
+    registerOnset(now) {
+        this.lastOnset = now;
+        this.onsets.push(now);
+        if (this.onsets.length > this.maxOnsets) this.onsets.shift();
+        this.estimateTempo();
+
+        if (!this.bpm) {
+            this.anchor = now;
+            return;
+        }
+
+        // Pull the phase towards onsets that land close to a predicted beat,
+        // re-anchor completely when we are far off.
+        const period = 60000 / this.bpm;
+        const offset = ((now - this.anchor) % period + period) % period;
+        const error = offset > period / 2 ? offset - period : offset;
+        if (Math.abs(error) < period * 0.25) {
+            this.anchor += error * 0.5;
+        } else {
+            this.anchor = now;
+        }
+    }
+
+    /**
+     * Histogram of inter-onset intervals folded into [minBpm, maxBpm].
+     */
+    estimateTempo() {
+        if (this.onsets.length < 4) return;
+
+        const bins = new Map();
+        let total = 0;
+        for (let i = 1; i < this.onsets.length; i++) {
+            // Compare against a few previous onsets so skipped beats still count
+            for (let k = 1; k <= 3 && i - k >= 0; k++) {
+                const interval = (this.onsets[i] - this.onsets[i - k]) / k;
+                if (interval <= 0) continue;
+                let bpm = 60000 / interval;
+                while (bpm < this.minBpm) bpm *= 2;
+                while (bpm > this.maxBpm) bpm /= 2;
+                const bin = Math.round(bpm);
+                bins.set(bin, (bins.get(bin) || 0) + 1);
+                total++;
+            }
+        }
+
+        let bestBin = 0, bestScore = 0;
+        for (const [bin, count] of bins) {
+            // Neighbouring bins support each other (jitter of a frame or two)
+            const score = count + 0.5 * ((bins.get(bin - 1) || 0) + (bins.get(bin + 1) || 0));
+            if (score > bestScore) {
+                bestScore = score;
+                bestBin = bin;
+            }
+        }
+        if (!bestBin) return;
+
+        this.confidence = Math.min(1, bestScore / total);
+        this.bpm = this.bpm ? this.bpm + (bestBin - this.bpm) * 0.3 : bestBin;
+    }
+
+    /**
+     * Position inside the current beat, 0 on the beat and rising towards 1.
+     */
+    getPhase(now) {
+        if (!this.bpm) return 0;
+        const period = 60000 / this.bpm;
+        const phase = ((now - this.anchor) % period) / period;
+        return phase < 0 ? phase + 1 : phase;
+    }
+}
@@ -0,0 +1,210 @@
+// chroma.js
+/**
+ * 12-bin chroma (pitch-class energy) and key estimation.
+ * Spectrum bins are folded onto the 12 pitch classes (C = 0 ... B = 11); the
+ * key is the major/minor Krumhansl-Kessler profile that best correlates with a
+ * slowly averaged chroma, and only changes after the new key has clearly beaten
+ * the current one for a while.
+ */
+
+export const PITCH_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const MIN_HZ = 60;   // lowest bass note considered
+const MAX_HZ = 4200; // above this overtones and noise dominate
+const SEMITONE = Math.pow(2, 1 / 12) - 1; // relative width of a semitone
+
+/**
+ * Pearson correlation of `chroma` against `profile` rotated to `tonic`.
+ */
+function correlate(chroma, profile, tonic) {
+    let meanC = 0, meanP = 0;
+    for (let i = 0; i < 12; i++) {
+        meanC += chroma[i];
+        meanP += profile[i];
+    }
+    meanC /= 12;
+    meanP /= 12;
+
+    let num = 0, denC = 0, denP = 0;
+    for (let i = 0; i < 12; i++) {
+        const c = chroma[i] - meanC;
+        const p = profile[(i - tonic + 12) % 12] - meanP;
+        num += c * p;
+        denC += c * c;
+        denP += p * p;
+    }
+    return denC > 0 ? num / Math.sqrt(denC * denP) : 0;
+}
+
+export class ChromaAnalyser {
+    constructor(options = {}) {
+        this.minLevel = options.minLevel || 0.02;      // raw chroma below this counts as silence
+        this.smoothTime = options.smoothTime || 0.15;  // s, time constant of the displayed chroma
+        this.keyTime = options.keyTime || 10;          // s, time constant of the chroma the key is read from
+        this.keyHold = options.keyHold || 8;           // s a new key must keep winning before it is adopted
+        this.keyMargin = options.keyMargin || 0.1;     // correlation a new key must beat the current one by
+
+        this.binClass = null;   // Int8Array: pitch class per FFT bin, -1 = unused
+        this.binCount = null;   // bins folded onto each pitch class
+        this.layoutKey = '';
+
+        this.raw = new Float32Array(12);
+        this.profile = new Float32Array(12); // long-term chroma for the key
+        this.candidate = -1;                 // key index (0-11 major, 12-23 minor) currently winning
+        this.candidateTime = 0;
+
+        // Reused object handed to animations (no per-frame allocations)
+        this.harmony = {
+            chroma: new Float32Array(12), // 0..1, loudest pitch class = 1
+            pitchClass: -1,               // dominant pitch class, -1 in silence
+            pitchName: null,
+            key: -1,                      // tonic pitch class, -1 until a key has been found
+            mode: null,                   // 'major' | 'minor'
+            keyName: null,                // e.g. 'A minor'
+            confidence: 0                 // 0..1, correlation with the key profile
+        };
+    }
+
+    reset() {
+        this.raw.fill(0);
+        this.profile.fill(0);
+        this.candidate = -1;
+        this.candidateTime = 0;
+        const h = this.harmony;
+        h.chroma.fill(0);
+        h.pitchClass = -1;
+        h.pitchName = null;
+        h.key = -1;
+        h.mode = null;
+        h.keyName = null;
+        h.confidence = 0;
+    }
+
+    /**
+     * Maps FFT bins to pitch classes; rebuilt only when the layout changes.
+     * @param {number} binTotal - Number of frequency bins
+     * @param {number} binHz - Width of one bin in Hz
+     */
+    setLayout(binTotal, binHz) {
+        const key = `${binTotal}:${binHz}`;
+        if (key === this.layoutKey) return;
+        this.layoutKey = key;
+
+        this.binClass = new Int8Array(binTotal).fill(-1);
+        this.binCount = new Uint16Array(12);
+        // Skip bins wider than a semitone: they can't tell neighbouring notes apart
+        // (a larger fft_size brings the lower octaves in)
+        const minHz = Math.max(MIN_HZ, binHz / SEMITONE);
+        for (let i = 1; i < binTotal; i++) {
+            const hz = i * binHz;
+            if (hz < minHz || hz > MAX_HZ) continue;
+            // MIDI note number, 69 = A4 = 440Hz
+            const pc = ((Math.round(69 + 12 * Math.log2(hz / 440)) % 12) + 12) % 12;
+            this.binClass[i] = pc;
+            this.binCount[pc]++;
+        }
+    }
+
+    /**
+     * Folds a byte frequency spectrum (AnalyserNode.getByteFrequencyData) onto
+     * the pitch classes.
+     * @param {Uint8Array} data
+     * @param {number} binHz
+     * @param {Float32Array} out - 12 values, 0..1
+     */
+    fromSpectrum(data, binHz, out) {
+        this.setLayout(data.length, binHz);
+        out.fill(0);
+        for (let i = 0; i < data.length; i++) {
+            const pc = this.binClass[i];
+            if (pc < 0) continue;
+            const v = data[i] / 255;
+            out[pc] += v * v;
+        }
+        // Broadband noise lifts every class alike: keep only what stands out
+        let min = Infinity;
+        for (let pc = 0; pc < 12; pc++) {
+            out[pc] = this.binCount[pc] ? out[pc] / this.binCount[pc] : 0;
+            if (out[pc] < min) min = out[pc];
+        }
+        for (let pc = 0; pc < 12; pc++) out[pc] -= min;
+        return out;
+    }
+
+    /**
+     * Feeds one frame of raw chroma.
+     * @param {Float32Array} raw - 12 unnormalized pitch-class energies
+     * @param {number} dt - Seconds since the previous frame
+     * @returns {boolean} true when the estimated key changed in this frame
+     */
+    process(raw, dt) {
+        const h = this.harmony;
+        let max = 0, loudest = -1;
+        for (let pc = 0; pc < 12; pc++) {
+            if (raw[pc] > max) {
+                max = raw[pc];
+                loudest = pc;
+            }
+        }
+
+        const silent = max < this.minLevel;
+        const fast = dt > 0 ? 1 - Math.exp(-dt / this.smoothTime) : 1;
+        const slow = dt > 0 ? 1 - Math.exp(-dt / this.keyTime) : 0;
+        let peak = 0;
+        for (let pc = 0; pc < 12; pc++) {
+            const v = silent ? 0 : raw[pc] / max;
+            this.raw[pc] += (v - this.raw[pc]) * fast;
+            if (this.raw[pc] > peak) peak = this.raw[pc];
+            // The key only learns from music, silence doesn't wash it out
+            if (!silent) this.profile[pc] += (v - this.profile[pc]) * slow;
+        }
+        for (let pc = 0; pc < 12; pc++) h.chroma[pc] = peak > 0 ? this.raw[pc] / peak : 0;
+
+        h.pitchClass = silent ? -1 : loudest;
+        h.pitchName = silent ? null : PITCH_NAMES[loudest];
+
+        return silent ? false : this.updateKey(dt);
+    }
+
+    updateKey(dt) {
+        let best = -1, bestScore = -Infinity;
+        for (let k = 0; k < 24; k++) {
+            const score = correlate(this.profile, k < 12 ? MAJOR_PROFILE : MINOR_PROFILE, k % 12);
+            if (score > bestScore) {
+                bestScore = score;
+                best = k;
+            }
+        }
+
+        const h = this.harmony;
+        const current = h.key < 0 ? -1 : h.key + (h.mode === 'minor' ? 12 : 0);
+        // Keep the current key unless another one clearly wins: while the profile
+        // drifts between two keys, neighbours (relative/parallel minor) briefly
+        // score a little higher
+        const currentScore = current < 0 ? -Infinity
+            : correlate(this.profile, current < 12 ? MAJOR_PROFILE : MINOR_PROFILE, current % 12);
+        if (best === current || bestScore - currentScore < this.keyMargin) {
+            this.candidate = -1;
+            h.confidence = Math.max(0, currentScore);
+            return false;
+        }
+
+        if (best !== this.candidate) {
+            this.candidate = best;
+            this.candidateTime = 0;
+        }
+        this.candidateTime += dt;
+        if (this.candidateTime < this.keyHold) return false;
+
+        this.candidate = -1;
+        h.key = best % 12;
+        h.mode = best < 12 ? 'major' : 'minor';
+        h.keyName = `${PITCH_NAMES[h.key]} ${h.mode}`;
+        h.confidence = Math.max(0, bestScore);
+        return true;
+    }
+}
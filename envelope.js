@@ -0,0 +1,29 @@
+// envelope.js
+/**
+ * Attack/release follower for one band. Rising input is followed with the
+ * attack time constant, falling input with the release time constant, both in ms
+ * and independent of the frame rate.
+ */
+export class Envelope {
+    constructor({ attack = 10, release = 150 } = {}) {
+        this.attack = attack;
+        this.release = release;
+        this.value = 0;
+    }
+
+    reset() {
+        this.value = 0;
+    }
+
+    /**
+     * @param {number} input - Band level (0-100)
+     * @param {number} dt - Seconds since the previous frame
+     * @returns {number} the smoothed level
+     */
+    process(input, dt) {
+        const tau = (input > this.value ? this.attack : this.release) / 1000;
+        const coeff = tau > 0 ? 1 - Math.exp(-dt / tau) : 1;
+        this.value += (input - this.value) * coeff;
+        return this.value;
+    }
+}
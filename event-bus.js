@@ -0,0 +1,89 @@
+// event-bus.js
+/**
+ * Minimal pub/sub used between the audio layer, the loader, the header UI and
+ * integrations. Handlers run synchronously in subscription order; an error in
+ * one handler is logged and does not stop the others.
+ *
+ * Notifications
+ *   frequencies     { low, mid, high, smoothed: { low, mid, high },   every audio frame; input levels are dBFS
+ *                     input: { rms, peak, clipping } }                   before AGC/gain
+ *   stereo          { left: { low, mid, high }, right: { low, mid,     every audio frame; balance -1 (left) .. 1 (right),
+ *                     high }, balance, width }                           width 0 (mono) .. 1
+ *   features        { centroid, flux, rms, crest }                     every audio frame, each 0-100
+ *   tempo           { bpm, phase, confidence, beat, beatInBar,         every audio frame (shared beat clock); source is
+ *                     barPhase, source }                                 'detect', 'external', 'midi', 'tap' or 'manual'
+ *   beat            { time, strength, bpm, phase, confidence,          per beat (detected, sent, or of the manual grid)
+ *                     beatInBar }
+ *   transient       { type, time, strength }                           per drum hit; type is 'kick', 'snare' (or clap)
+ *                                                                      or 'hihat'
+ *   harmony         { chroma, pitchClass, pitchName, key, mode,        every audio frame
+ *                     keyName, confidence }
+ *   keychange       (same payload as harmony)                          the estimated key changed
+ *   silence         { level, threshold }                               input stayed below the threshold (dBFS)
+ *   resume          { duration }                                       sound is back after `duration` s of silence
+ *   buildup         { active, progress, duration }                     every frame of a build-up, once more
+ *                                                                      with active = false when it ends
+ *   drop            { time, strength, afterBuildup, breakDuration }    the bass came back after a break
+ *   inputchange     { type, source, testMode, previous, reason,        audio source changed; reason is null, 'ended',
+ *                     deviceId }                                         'fallback', 'reconnect', 'device-lost' or 'settings'
+ *   devicechange    { devices }                                        audio input devices plugged in/out
+ *   wsstatus        { state, url, error }                              WebSocket input is 'connecting', 'open', 'stale'
+ *                                                                      (no frames), 'reconnecting' or 'closed'
+ *   audioerror      AudioInputError { reason, message, remedy, source } an input failed to start (test signal took over)
+ *   animationchange { index, slug, instance, config }                  a new animation is shown
+ *   rotationpaused  { paused }                                         automatic rotation paused/resumed
+ *   idlechange      { idle }                                           idle/attract mode entered/left
+ *   midichange      { inputs, profile, learning }                      MIDI inputs, profile or learn state changed
+ *   clockbeat       { time, bpm }                                      a beat of the MIDI clock (clock sync on)
+ *   clockstop       {}                                                 the MIDI clock stopped or went quiet
+ *
+ * Commands (handled by the loader)
+ *   rotate          { step }                                           show next (+1) / previous (-1)
+ *   setpaused       { paused }                                         pause/resume rotation, toggles if omitted
+ *
+ * Per-frame payloads are reused objects: copy what you need to keep.
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // event -> Set of handlers
+    }
+
+    /**
+     * @param {string} event
+     * @param {function} handler - Called with the event payload
+     * @returns {function} unsubscribe
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) handlers.delete(handler);
+    }
+
+    once(event, handler) {
+        const off = this.on(event, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    emit(event, payload) {
+        const handlers = this.listeners.get(event);
+        if (!handlers || !handlers.size) return;
+        for (const handler of handlers) {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`[EventBus] Handler for "${event}" failed:`, err);
+            }
+        }
+    }
+}
+
+// Shared instance for the app
+export const bus = new EventBus();
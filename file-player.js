@@ -0,0 +1,142 @@
+// file-player.js
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac)$/i;
+
+function isAudioFile(file) {
+    return (file.type && file.type.startsWith('audio/')) || AUDIO_FILE_PATTERN.test(file.name);
+}
+
+function isRecordingFile(file) {
+    return /\.json$/i.test(file.name);
+}
+
+/**
+ * Reads every file below a dropped directory entry (webkitGetAsEntry API).
+ */
+async function readEntry(entry) {
+    if (entry.isFile) {
+        return new Promise(resolve => entry.file(file => resolve([file]), () => resolve([])));
+    }
+    if (!entry.isDirectory) return [];
+
+    const reader = entry.createReader();
+    const files = [];
+    // readEntries returns results in batches until it hands back an empty array
+    for (;;) {
+        const batch = await new Promise(resolve => reader.readEntries(resolve, () => resolve([])));
+        if (!batch.length) break;
+        for (const child of batch) files.push(...await readEntry(child));
+    }
+    return files;
+}
+
+/**
+ * Collects audio files and band recordings (.json) from a drop event,
+ * descending into dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>} audio and recording files sorted by path/name
+ */
+export async function filesFromDataTransfer(dataTransfer) {
+    const entries = [];
+    if (dataTransfer.items) {
+        for (const item of dataTransfer.items) {
+            const entry = item.webkitGetAsEntry && item.webkitGetAsEntry();
+            if (entry) entries.push(entry);
+        }
+    }
+
+    let files = [];
+    if (entries.length) {
+        for (const entry of entries) files.push(...await readEntry(entry));
+    } else {
+        files = Array.from(dataTransfer.files || []);
+    }
+    return files.filter(file => isAudioFile(file) || isRecordingFile(file)).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Playlist of local audio files played through one <audio> element.
+ * AudioManager taps the element via createMediaElementSource().
+ */
+export class FilePlayer {
+    constructor() {
+        this.audio = new Audio();
+        this.audio.preload = 'auto';
+        this.playlist = [];
+        this.index = -1;
+        this.objectUrl = null;
+
+        this.audio.addEventListener('ended', () => this.next());
+    }
+
+    get current() {
+        return this.playlist[this.index] || null;
+    }
+
+    get isPlaying() {
+        return !this.audio.paused && !this.audio.ended;
+    }
+
+    /**
+     * Adds files to the playlist; starts the first new file if nothing was loaded.
+     * @param {File[]} files
+     * @returns {number} number of files added
+     */
+    add(files) {
+        const audioFiles = files.filter(isAudioFile);
+        if (!audioFiles.length) return 0;
+
+        const wasEmpty = this.playlist.length === 0;
+        this.playlist.push(...audioFiles);
+        if (wasEmpty) this.load(0);
+        console.log(`[FilePlayer] Added ${audioFiles.length} file(s), playlist length ${this.playlist.length}`);
+        return audioFiles.length;
+    }
+
+    load(index) {
+        if (!this.playlist.length) return;
+        this.index = (index + this.playlist.length) % this.playlist.length;
+
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = URL.createObjectURL(this.playlist[this.index]);
+        this.audio.src = this.objectUrl;
+    }
+
+    play() {
+        if (this.index < 0) return Promise.resolve();
+        return this.audio.play().catch(err => console.error('[FilePlayer] Playback failed:', err));
+    }
+
+    pause() {
+        this.audio.pause();
+    }
+
+    toggle() {
+        return this.isPlaying ? this.pause() : this.play();
+    }
+
+    next() {
+        if (!this.playlist.length) return;
+        this.load(this.index + 1);
+        this.play();
+    }
+
+    prev() {
+        if (!this.playlist.length) return;
+        // Like most players: restart the track unless we are at its very beginning
+        if (this.audio.currentTime > 3) {
+            this.audio.currentTime = 0;
+            return;
+        }
+        this.load(this.index - 1);
+        this.play();
+    }
+
+    /**
+     * @param {number} fraction - Position 0..1 within the current track
+     */
+    seek(fraction) {
+        const duration = this.audio.duration;
+        if (!Number.isFinite(duration)) return;
+        this.audio.currentTime = Math.min(1, Math.max(0, fraction)) * duration;
+    }
+}
@@ -1,9 +1,24 @@
 // index.js
-import { AudioManager } from './audio-manager.js';
+import { AudioManager, MAX_SENSITIVITY_GAIN, MAX_MANUAL_GAIN } from './audio-manager.js';
+import { bus } from './event-bus.js';
+import { FilePlayer, filesFromDataTransfer } from './file-player.js';
+import { SCENARIOS } from './test-signal.js';
+import { BandRecorder, BandReplay } from './band-recorder.js';
+import { AudioInputError } from './audio-errors.js';
+import { LevelMeter } from './level-meter.js';
+import { MidiController, controlLabel } from './midi-controller.js';
 
 const ANIMATIONS_YML = './animations/animations.yml';
 const VIEWS_CONTAINER_ID = 'views';
 const DEFAULT_DURATION = 8;
+const MIDI_ANIMATION_SLOTS = 4; // generic controls/triggers forwarded to onControl()/onTrigger()
+// Idle/attract mode (top-level `idle:` block of animations.yml)
+const DEFAULT_IDLE = {
+  enabled: true,
+  title: 'PARTYVIZ',
+  message: 'WAITING FOR THE NEXT SET',
+  duration: 45 // seconds per animation while idle
+};
 
 function showError(msg) {
   console.error('[PartyViz ERROR]', msg);
@@ -23,8 +38,7 @@ async function injectAnimationHtml(slug) {
   return await res.text();
 }
 
-async function loadAnimations() {
-  const parsed = await fetchYAML(ANIMATIONS_YML).catch(err => { showError(err); return null; });
+async function loadAnimations(parsed) {
   if (!parsed) return [];
 
   let list = parsed.animations || parsed;
@@ -93,20 +107,59 @@ async function init() {
   console.log('[PartyViz] Initializing...');
 
   // --- AUDIO SETUP ---
-  const audioManager = new AudioManager();
+  const audioManager = new AudioManager(bus);
   // Start the loop immediately (it defaults to Test Mode)
   audioManager.startLoop();
+  const filePlayer = new FilePlayer();
 
-  const loaded = await loadAnimations();
+  const manifest = await fetchYAML(ANIMATIONS_YML).catch(err => { showError(err); return null; });
+  // Global analyser / band config (top-level `audio:` block)
+  if (manifest && manifest.audio) audioManager.configure(manifest.audio);
+
+  const loaded = await loadAnimations(manifest);
   if (!loaded.length) {
     showError('No animations loaded');
     return;
   }
 
+  // Optional hook: hand the audio manager to animations that pull spectrum/waveform data
+  for (const item of loaded) {
+    if (item.instance && typeof item.instance.attachAudio === 'function') {
+      item.instance.attachAudio(audioManager);
+    }
+  }
+
   let currentIndex = 0;
   let currentItem = null;
   let rotationTimer = null;
   let paused = false; // when true, stop automatic rotation
+  let idle = false;   // true during sustained silence (attract mode)
+  const idleConfig = { ...DEFAULT_IDLE, ...((manifest && manifest.idle) || {}) };
+
+  // Seconds an item stays on screen; idle mode rotates slowly
+  const durationOf = (item) => {
+    if (idle) return Number(idleConfig.duration) || DEFAULT_DURATION;
+    return (item && item.config && item.config.duration) || DEFAULT_DURATION;
+  };
+
+  // Forward audio events to the active animation's hooks (all optional except updateFrequencies)
+  const callAnimation = (method, ...args) => {
+    const instance = currentItem && currentItem.instance;
+    if (instance && typeof instance[method] === 'function') instance[method](...args);
+  };
+  bus.on('frequencies', (f) => {
+    callAnimation('updateFrequencies', f.low, f.mid, f.high);
+    callAnimation('updateSmoothed', f.smoothed.low, f.smoothed.mid, f.smoothed.high);
+  });
+  bus.on('stereo', (stereo) => callAnimation('updateStereo', stereo));
+  bus.on('features', (features) => callAnimation('updateFeatures', features));
+  bus.on('tempo', (tempo) => callAnimation('updateTempo', tempo));
+  bus.on('beat', (beat) => callAnimation('onBeat', beat));
+  bus.on('transient', (hit) => callAnimation('onTransient', hit));
+  bus.on('harmony', (harmony) => callAnimation('updateHarmony', harmony));
+  bus.on('keychange', (harmony) => callAnimation('onKeyChange', harmony));
+  bus.on('buildup', (buildup) => callAnimation('onBuildup', buildup));
+  bus.on('drop', (drop) => callAnimation('onDrop', drop));
 
   function showIndex(index) {
     if (currentItem && currentItem.instance && typeof currentItem.instance.stop === 'function') {
@@ -117,22 +170,28 @@ async function init() {
     const item = loaded[index];
     if (!item) return;
 
+    // Per-animation band/envelope overrides (`audio:` block), or back to the global ones
+    const animAudio = item.config.audio || {};
+    audioManager.setBandOverrides(animAudio.bands || null);
+    audioManager.setEnvelopeOverrides(animAudio.envelopes || null);
+
     if (item.view) item.view.style.display = 'block';
     if (item.instance && typeof item.instance.start === 'function') {
       item.instance.start();
     }
 
+    // Debug handle for the console only; nothing in the app reads it
     window.currentAnimation = item.instance || null;
     currentItem = item;
     currentIndex = index;
+    bus.emit('animationchange', { index, slug: item.slug, instance: item.instance, config: item.config });
   }
 
   function rotateNext(step = 1) {
     // step is 1 for forward, -1 for previous
     const next = (currentIndex + step + loaded.length) % loaded.length;
     showIndex(next);
-    const nextItem = loaded[next];
-    const duration = (nextItem && nextItem.config && nextItem.config.duration) || DEFAULT_DURATION;
+    const duration = durationOf(loaded[next]);
 
     rotationTimer && clearTimeout(rotationTimer);
     // don't schedule next if paused (e.g., user pressed pause)
@@ -141,24 +200,11 @@ async function init() {
     }
   }
 
-  // --- UI EVENTS ---
-
-  document.getElementById('prev').addEventListener('click', () => {
-    // If user interacts manually, resume automatic rotation and go to previous.
-    paused = false;
-    rotateNext(-1);
-  });
-
-  document.getElementById('next').addEventListener('click', () => {
-    // If user interacts manually, resume automatic rotation and go to next.
-    paused = false;
-    rotateNext(1);
-  });
-
-  // Pause button toggles automatic rotation; it leaves the current animation running.
+  // Pause toggles automatic rotation; it leaves the current animation running.
   const pauseBtn = document.getElementById('pause');
-  pauseBtn.addEventListener('click', () => {
-    paused = !paused;
+  function setPaused(value = !paused) {
+    if (value === paused) return;
+    paused = value;
     if (paused) {
       // stop future rotations
       clearTimeout(rotationTimer);
@@ -171,12 +217,66 @@ async function init() {
       pauseBtn.title = 'Pause rotation';
       // schedule next based on next item's config
       const nextIndex = (currentIndex + 1) % loaded.length;
-      const nextItem = loaded[nextIndex];
-      const duration = (nextItem && nextItem.config && nextItem.config.duration) || DEFAULT_DURATION;
+      const duration = durationOf(loaded[nextIndex]);
       rotationTimer && clearTimeout(rotationTimer);
       rotationTimer = setTimeout(() => rotateNext(1), duration * 1000);
     }
+    bus.emit('rotationpaused', { paused });
+  }
+
+  // Rotation commands, so controllers and integrations don't need globals
+  bus.on('rotate', ({ step = 1 } = {}) => {
+    // Manual navigation resumes automatic rotation
+    setPaused(false);
+    rotateNext(step);
+  });
+  bus.on('setpaused', ({ paused: value } = {}) => setPaused(value));
+
+  // Idle/attract mode: sustained silence shows the idle screen over a slow
+  // rotation; when music resumes the normal playlist continues
+  const idleScreen = document.getElementById('idleScreen');
+  document.getElementById('idleTitle').textContent = idleConfig.title;
+  document.getElementById('idleMessage').firstChild.textContent = idleConfig.message;
+  function setIdle(value) {
+    if (value === idle) return;
+    idle = value;
+    idleScreen.style.display = idle ? 'flex' : 'none';
+    if (idle) {
+      // Keep the current animation, only slow the rotation down
+      if (!paused) {
+        clearTimeout(rotationTimer);
+        rotationTimer = setTimeout(() => rotateNext(1), durationOf(currentItem) * 1000);
+      }
+    } else if (!paused) {
+      rotateNext(1);
+    }
+    console.log(`[PartyViz] ${idle ? 'Silence: idle mode' : 'Music resumed'}`);
+    bus.emit('idlechange', { idle });
+  }
+  bus.on('silence', () => {
+    if (idleConfig.enabled) setIdle(true);
   });
+  bus.on('resume', () => setIdle(false));
+
+  // Section-aware rotation: cut to the next `energy: high` animation exactly on a drop
+  const rotationConfig = { switch_on_drop: true, ...((manifest && manifest.rotation) || {}) };
+  bus.on('drop', () => {
+    if (!rotationConfig.switch_on_drop || paused || idle) return;
+    for (let step = 1; step < loaded.length; step++) {
+      const item = loaded[(currentIndex + step) % loaded.length];
+      if (item.config && item.config.energy === 'high') {
+        console.log(`[PartyViz] Drop: switching to ${item.slug}`);
+        rotateNext(step);
+        return;
+      }
+    }
+  });
+
+  // --- UI EVENTS ---
+
+  document.getElementById('prev').addEventListener('click', () => bus.emit('rotate', { step: -1 }));
+  document.getElementById('next').addEventListener('click', () => bus.emit('rotate', { step: 1 }));
+  pauseBtn.addEventListener('click', () => bus.emit('setpaused', {}));
 
   // Test Mode Toggle
   const testModeCheckbox = document.getElementById('audioTestMode');
@@ -184,16 +284,58 @@ async function init() {
   // Sync initial state
   audioManager.setTestMode(testModeCheckbox.checked);
 
-  // 1. Test Mode Toggle
+  // 1. Test Mode Toggle (the header follows via `inputchange`, see section 10)
   testModeCheckbox.addEventListener('change', (ev) => {
-    const isTest = ev.target.checked;
-    audioManager.setTestMode(isTest);
-    // If user manually checks Test Mode, we might want to visually indicate mic is paused
-    if (isTest) {
-      btnMic.style.opacity = "0.5";
-    } else if (audioManager.isLive) {
-      btnMic.style.opacity = "1";
-    }
+    audioManager.setTestMode(ev.target.checked);
+  });
+
+  // AGC toggle + manual gain; moving the gain slider overrides (disables) AGC
+  const gainControls = document.getElementById('gainControls');
+  const agcCheckbox = document.getElementById('audioAgc');
+  const gainSlider = document.getElementById('audioGain');
+  const gainValue = document.getElementById('audioGainValue');
+  gainSlider.max = MAX_MANUAL_GAIN; // same limit as setManualGain()
+  const syncGainUi = () => {
+    agcCheckbox.checked = audioManager.config.agc;
+    gainSlider.value = audioManager.config.gain;
+    gainValue.textContent = `${audioManager.config.gain.toFixed(2)}x`;
+    gainControls.classList.toggle('agc-on', audioManager.config.agc);
+  };
+  syncGainUi();
+
+  agcCheckbox.addEventListener('change', () => {
+    audioManager.setAgcEnabled(agcCheckbox.checked);
+    syncGainUi();
+  });
+  gainSlider.addEventListener('input', () => {
+    if (audioManager.config.agc) audioManager.setAgcEnabled(false);
+    audioManager.setManualGain(gainSlider.value);
+    syncGainUi();
+  });
+
+  // Test signal scenario + BPM; picking either switches to Test Mode
+  const testScenarioSelect = document.getElementById('testScenario');
+  const testBpmInput = document.getElementById('testBpm');
+  for (const [key, scenario] of Object.entries(SCENARIOS)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.text = scenario.label;
+    testScenarioSelect.appendChild(option);
+  }
+  testScenarioSelect.value = audioManager.testSignal.scenario;
+  testBpmInput.value = audioManager.testSignal.bpm;
+
+  const enterTestMode = () => {
+    if (!audioManager.isTestMode) audioManager.setTestMode(true);
+  };
+  testScenarioSelect.addEventListener('change', () => {
+    audioManager.testSignal.setScenario(testScenarioSelect.value);
+    enterTestMode();
+  });
+  testBpmInput.addEventListener('change', () => {
+    audioManager.testSignal.setBpm(testBpmInput.value);
+    testBpmInput.value = audioManager.testSignal.bpm;
+    enterTestMode();
   });
 
   // Microphone Button
@@ -203,18 +345,15 @@ async function init() {
     console.log
     const success = await audioManager.enableLiveInput();
     if (success) {
-      // If mic starts successfully, uncheck Test Mode automatically
-      testModeCheckbox.checked = false;
-      audioManager.setTestMode(false);
       btnMic.textContent = "🎤 ON AIR";
       btnMic.style.background = "var(--color-primary)";
       btnMic.style.color = "var(--color-bg)";
     }
   });
 
-  // 2. Function to populate device list
-  const refreshDeviceList = async () => {
-    const devices = await audioManager.getAudioDevices();
+  // 2. Function to populate device list (also called on every device plug/unplug)
+  const refreshDeviceList = async (devices = null) => {
+    devices = devices || await audioManager.getAudioDevices();
     selectMic.innerHTML = ''; // clear
 
     devices.forEach((device, index) => {
@@ -224,21 +363,21 @@ async function init() {
       option.text = device.label || `Audio Device ${index + 1}`;
       selectMic.appendChild(option);
     });
+    if (audioManager.activeDeviceId) selectMic.value = audioManager.activeDeviceId;
 
-    // Show the dropdown if we have devices
-    if (devices.length > 0) {
+    // Show the dropdown once we have permission (labels are hidden before that)
+    if (devices.some(device => device.label)) {
       selectMic.style.display = 'inline-block';
       btnMic.style.display = 'none'; // Hide big button, use dropdown now
     }
   };
+  bus.on('devicechange', ({ devices }) => refreshDeviceList(devices));
 
   // 3. Enable Mic Button (First interaction)
   btnMic.addEventListener('click', async () => {
     // Request default device first to trigger permission prompt
     const success = await audioManager.enableLiveInput(null);
     if (success) {
-      testModeCheckbox.checked = false;
-
       // Now that we have permission, we can read device labels
       await refreshDeviceList();
     }
@@ -248,9 +387,495 @@ async function init() {
   selectMic.addEventListener('change', async (ev) => {
     const deviceId = ev.target.value;
     console.log('[PartyViz] Switching to device:', deviceId);
-    const success = await audioManager.enableLiveInput(deviceId);
-    if (success) {
-      testModeCheckbox.checked = false;
+    await audioManager.enableLiveInput(deviceId);
+  });
+
+  // Header drop-down panels: one open at a time, synced with the audio state on open
+  const togglePanel = (panel, sync) => {
+    const open = panel.style.display === 'none';
+    for (const other of document.querySelectorAll('.settings-panel')) other.style.display = 'none';
+    if (open) sync();
+    panel.style.display = open ? 'flex' : 'none';
+  };
+
+  // Input settings panel: browser processing (off = raw) and channels, remembered per device
+  const btnInputSettings = document.getElementById('btnInputSettings');
+  const inputSettingsPanel = document.getElementById('inputSettings');
+  const inputFields = {
+    echoCancellation: document.getElementById('inputEchoCancellation'),
+    noiseSuppression: document.getElementById('inputNoiseSuppression'),
+    autoGainControl: document.getElementById('inputAutoGain'),
+    channelCount: document.getElementById('inputChannelCount'),
+    channel: document.getElementById('inputChannel')
+  };
+  const syncInputSettings = () => {
+    const settings = audioManager.getInputSettings();
+    for (const [name, field] of Object.entries(inputFields)) {
+      if (field.type === 'checkbox') field.checked = settings[name];
+      else field.value = String(settings[name]);
+    }
+    const deviceId = audioManager.inputSettingsDevice();
+    const option = deviceId && [...selectMic.options].find(o => o.value === deviceId);
+    document.getElementById('inputSettingsDevice').textContent = option ? option.text : 'DEFAULT';
+    document.getElementById('inputSettingsInfo').textContent = audioManager.sourceType === 'mic'
+      ? `Device delivers ${audioManager.micChannels} channel(s)`
+      : 'Applies when the mic is enabled';
+  };
+  btnInputSettings.addEventListener('click', () => togglePanel(inputSettingsPanel, syncInputSettings));
+  for (const [name, field] of Object.entries(inputFields)) {
+    field.addEventListener('change', async () => {
+      const value = field.type === 'checkbox' ? field.checked : field.value;
+      try {
+        await audioManager.setInputSettings({ [name]: value });
+      } catch (err) {
+        // The previous stream keeps running; explain why the new settings didn't apply
+        const error = AudioInputError.from(err, 'mic');
+        showError(`Could not apply input settings: ${error.message}`);
+        showStatus(error.message, error.remedy);
+      }
+      syncInputSettings();
+    });
+  }
+  bus.on('inputchange', () => {
+    if (inputSettingsPanel.style.display !== 'none') syncInputSettings();
+  });
+
+  // Sensitivity panel: master gain plus per-band gain and gate, remembered across reloads
+  const sensitivityPanel = document.getElementById('sensitivityPanel');
+  const sensFields = [{ key: 'master', slider: document.getElementById('sensMaster') }];
+  for (const band of ['low', 'mid', 'high']) {
+    const id = band[0].toUpperCase() + band.slice(1);
+    sensFields.push({ band, key: 'gain', slider: document.getElementById(`sens${id}Gain`) });
+    sensFields.push({ band, key: 'gate', slider: document.getElementById(`sens${id}Gate`) });
+  }
+  const syncSensitivity = () => {
+    const sensitivity = audioManager.sensitivity;
+    for (const { band, key, slider } of sensFields) {
+      const value = band ? sensitivity[band][key] : sensitivity[key];
+      slider.value = value;
+      document.getElementById(`${slider.id}Value`).textContent = key === 'gate' ? String(value) : `${value.toFixed(2)}x`;
+    }
+  };
+  for (const { band, key, slider } of sensFields) {
+    slider.addEventListener('input', () => {
+      const value = Number(slider.value);
+      audioManager.setSensitivity(band ? { [band]: { [key]: value } } : { [key]: value });
+      syncSensitivity();
+    });
+  }
+  document.getElementById('btnSensitivity').addEventListener('click', () => togglePanel(sensitivityPanel, syncSensitivity));
+  document.getElementById('sensReset').addEventListener('click', () => {
+    audioManager.resetSensitivity();
+    syncSensitivity();
+  });
+
+  // 5. File Playback (file picker or drag & drop of files/folders)
+  const playerControls = document.getElementById('playerControls');
+  const playerToggle = document.getElementById('playerToggle');
+  const playerSeek = document.getElementById('playerSeek');
+  const playerTrack = document.getElementById('playerTrack');
+  const fileInput = document.getElementById('fileInput');
+  const mainContainer = document.querySelector('.main-container');
+
+  const addFiles = (files) => {
+    // Band recordings (.json) are replayed; everything else goes to the playlist.
+    // A replay and the player would both claim the input, so never load both.
+    const recordings = files.filter(file => /\.json$/i.test(file.name));
+    if (recordings.length) {
+      if (recordings.length < files.length) {
+        showStatus('Recording and audio files dropped together', 'Drop a .json recording on its own to replay it.');
+        return;
+      }
+      startReplay(recordings[0]);
+      return;
+    }
+
+    const added = filePlayer.add(files);
+    if (!added) {
+      showError('No playable audio files found');
+      return;
+    }
+    // Route the player into the analyser and leave test mode
+    audioManager.enableFileInput(filePlayer.audio);
+    playerControls.style.display = 'flex';
+    filePlayer.play();
+  };
+
+  document.getElementById('btnLoadFiles').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    addFiles(Array.from(fileInput.files));
+    fileInput.value = ''; // allow picking the same files again
+  });
+
+  document.addEventListener('dragover', (ev) => {
+    ev.preventDefault();
+    mainContainer.classList.add('drop-target');
+  });
+  document.addEventListener('dragleave', (ev) => {
+    // Only clear when the pointer leaves the window, not when crossing child elements
+    if (!ev.relatedTarget) mainContainer.classList.remove('drop-target');
+  });
+  document.addEventListener('drop', async (ev) => {
+    ev.preventDefault();
+    mainContainer.classList.remove('drop-target');
+    addFiles(await filesFromDataTransfer(ev.dataTransfer));
+  });
+
+  document.getElementById('playerPrev').addEventListener('click', () => filePlayer.prev());
+  document.getElementById('playerNext').addEventListener('click', () => filePlayer.next());
+  playerToggle.addEventListener('click', () => {
+    // Resuming playback also makes the file the active input again
+    if (!filePlayer.isPlaying && audioManager.sourceType !== 'file') {
+      audioManager.enableFileInput(filePlayer.audio);
+    }
+    filePlayer.toggle();
+  });
+  playerSeek.addEventListener('input', () => filePlayer.seek(playerSeek.value / 1000));
+
+  // 6. Tab/system audio capture (screen share with audio); click again to stop
+  const btnCapture = document.getElementById('btnCaptureAudio');
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    btnCapture.style.display = 'none';
+  }
+  const setCapturing = (capturing) => {
+    btnCapture.classList.toggle('capturing', capturing);
+    btnCapture.textContent = capturing ? '🖥 CAPTURING' : '🖥 Capture Audio';
+  };
+
+  btnCapture.addEventListener('click', async () => {
+    if (audioManager.sourceType === 'display') {
+      audioManager.stopInput();
+      audioManager.setTestMode(true);
+      return;
+    }
+    await audioManager.enableDisplayCapture();
+  });
+
+  // 7. Record / replay band timelines
+  const btnRecord = document.getElementById('btnRecord');
+  const replayStatus = document.getElementById('replayStatus');
+  let recordTimer = null;
+
+  const formatTime = (ms) => {
+    const total = Math.floor(ms / 1000);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  };
+
+  const downloadJSON = (data, filename) => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  btnRecord.addEventListener('click', () => {
+    if (!audioManager.recorder) {
+      const recorder = new BandRecorder();
+      audioManager.startRecording(recorder);
+      btnRecord.classList.add('recording');
+      btnRecord.textContent = '⏹ 00:00';
+      recordTimer = setInterval(() => {
+        // Stop and save by itself once the recording reaches its maximum length
+        if (recorder.full) btnRecord.click();
+        else btnRecord.textContent = `⏹ ${formatTime(recorder.duration)}`;
+      }, 1000);
+      return;
+    }
+
+    const recorder = audioManager.stopRecording();
+    clearInterval(recordTimer);
+    btnRecord.classList.remove('recording');
+    btnRecord.textContent = '⏺ REC';
+    if (!recorder.frames.length) return;
+
+    const stamp = recorder.created.replace(/[:.]/g, '-').slice(0, 19);
+    downloadJSON(recorder.toJSON(), `partyviz-bands-${stamp}.json`);
+    console.log(`[PartyViz] Saved recording: ${recorder.frames.length} frames, ${formatTime(recorder.duration)}`);
+  });
+
+  const startReplay = async (file) => {
+    try {
+      const replay = new BandReplay(JSON.parse(await file.text()), file.name);
+      audioManager.setProvider(replay, 'replay');
+      replayStatus.textContent = `▶ REPLAY ${file.name} (${formatTime(replay.duration)})`;
+      replayStatus.style.display = 'inline';
+    } catch (err) {
+      showError(`Could not load recording ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Stopping a replay falls back to Test Mode
+  replayStatus.addEventListener('click', () => {
+    audioManager.clearProvider();
+    audioManager.setTestMode(true);
+  });
+
+  // 8. Status area: input problems with a remedy, without blocking the screen.
+  // AudioManager has already fallen back to the test signal when an error arrives.
+  const audioStatus = document.getElementById('audioStatus');
+  const showStatus = (message, remedy = '', notice = false) => {
+    audioStatus.querySelector('.status-message').textContent = message;
+    audioStatus.querySelector('.status-remedy').textContent = remedy;
+    audioStatus.classList.toggle('notice', notice);
+    audioStatus.style.display = 'flex';
+  };
+  const clearStatus = () => { audioStatus.style.display = 'none'; };
+  audioStatus.addEventListener('click', clearStatus);
+
+  bus.on('audioerror', (error) => {
+    showError(`${error.message} (${error.reason})`);
+    showStatus(error.message, error.remedy);
+  });
+
+  // 9. Level meter: the same values the animations get, plus input RMS/peak and clipping
+  const levelMeter = new LevelMeter(document.getElementById('levelMeter'), document.getElementById('clipLight'));
+  bus.on('frequencies', (f) => levelMeter.update(f));
+  bus.on('inputchange', () => levelMeter.reset());
+
+  // 10. Keep the header in sync with whichever input is active
+  bus.on('inputchange', ({ type, source, previous, reason }) => {
+    testModeCheckbox.checked = type === 'test';
+    // Dim the mic button while Test Mode overrides a live input
+    btnMic.style.opacity = (type === 'test' && source) ? '0.5' : '1';
+    setCapturing(source === 'display');
+    if (source !== 'replay') replayStatus.style.display = 'none';
+    // Another live source took over: stop the music player
+    if (type !== 'test' && type !== 'file') filePlayer.pause();
+
+    if (type === 'mic' && audioManager.activeDeviceId) selectMic.value = audioManager.activeDeviceId;
+
+    // A live input ended on its own (e.g. user stopped sharing): fall back to Test Mode
+    if (reason === 'ended' || reason === 'device-lost') {
+      showError(`Audio input "${previous}" ended, switching to Test Mode`);
+      showStatus(
+        `Audio input "${previous}" ended, showing the test signal`,
+        reason === 'device-lost' ? 'Plug the device back in; the mic reconnects by itself.' : 'Start the input again to continue.'
+      );
+      audioManager.setTestMode(true);
+    } else if (reason === 'fallback') {
+      showStatus('Selected audio device is unavailable', 'Using the default input until it is plugged back in.', true);
+    } else if (reason === 'reconnect') {
+      console.log('[PartyViz] Audio device reconnected');
+      showStatus('Audio device reconnected', '', true);
+    } else if (type !== 'test') {
+      // A working live input: earlier problems are solved
+      clearStatus();
+    }
+  });
+
+  // 11. MIDI controller: learnable actions, profiles, and MIDI clock as the beat source
+  const midi = new MidiController();
+  midi.registerAction('rotate.prev', 'PREV', 'trigger', () => bus.emit('rotate', { step: -1 }));
+  midi.registerAction('rotate.next', 'NEXT', 'trigger', () => bus.emit('rotate', { step: 1 }));
+  midi.registerAction('rotation.pause', 'PAUSE', 'trigger', () => bus.emit('setpaused', {}));
+  midi.registerAction('sensitivity.master', 'MASTER_GAIN', 'range', (value) => {
+    audioManager.setSensitivity({ master: value * MAX_SENSITIVITY_GAIN });
+    if (sensitivityPanel.style.display !== 'none') syncSensitivity();
+  });
+  for (const band of ['low', 'mid', 'high']) {
+    midi.registerAction(`sensitivity.${band}`, `${band.toUpperCase()}_GAIN`, 'range', (value) => {
+      audioManager.setSensitivity({ [band]: { gain: value * MAX_SENSITIVITY_GAIN } });
+      if (sensitivityPanel.style.display !== 'none') syncSensitivity();
+    });
+  }
+  for (let slot = 1; slot <= MIDI_ANIMATION_SLOTS; slot++) {
+    midi.registerAction(`animation.control${slot}`, `CONTROL_${slot}`, 'range',
+      (value) => callAnimation('onControl', `control${slot}`, value));
+    midi.registerAction(`animation.trigger${slot}`, `FX_${slot}`, 'trigger',
+      (velocity) => callAnimation('onTrigger', `trigger${slot}`, velocity));
+  }
+  bus.on('clockbeat', ({ time, bpm }) => audioManager.clockBeat(time, bpm));
+  bus.on('clockstop', () => audioManager.clockStop());
+
+  const midiPanel = document.getElementById('midiPanel');
+  const midiProfileSelect = document.getElementById('midiProfile');
+  const midiProfileName = document.getElementById('midiProfileName');
+  const midiClockCheckbox = document.getElementById('midiClock');
+  const midiActions = document.getElementById('midiActions');
+  const syncMidi = () => {
+    const inputs = midi.inputNames;
+    document.getElementById('midiInputs').textContent = inputs.length ? inputs.join(', ') : 'NO INPUT';
+
+    midiProfileSelect.innerHTML = '';
+    for (const name of midi.profileNames) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.text = name;
+      midiProfileSelect.appendChild(option);
+    }
+    midiProfileSelect.value = midi.profileName;
+    midiClockCheckbox.checked = midi.profile.clock;
+
+    midiActions.innerHTML = '';
+    for (const action of midi.actions.values()) {
+      const control = midi.controlFor(action.id);
+      const label = document.createElement('span');
+      label.textContent = action.label;
+      const bound = document.createElement('span');
+      bound.className = 'midi-control';
+      bound.textContent = control ? controlLabel(control) : '--';
+      const learn = document.createElement('button');
+      learn.textContent = 'LEARN';
+      learn.classList.toggle('learning', midi.learning === action.id);
+      learn.addEventListener('click', () => midi.learn(action.id));
+      const clear = document.createElement('button');
+      clear.textContent = '✕';
+      clear.title = 'Remove binding';
+      clear.disabled = !control;
+      clear.addEventListener('click', () => midi.unbind(action.id));
+      midiActions.append(label, bound, learn, clear);
+    }
+  };
+  bus.on('midichange', () => {
+    if (midiPanel.style.display !== 'none') syncMidi();
+  });
+
+  document.getElementById('btnMidi').addEventListener('click', async () => {
+    if (!midi.enabled) {
+      try {
+        await midi.enable();
+      } catch (err) {
+        showError(`MIDI unavailable: ${err.message}`);
+        showStatus('MIDI is unavailable', 'Use Chrome or Edge and allow MIDI access for this site.');
+        return;
+      }
+    }
+    if (midiPanel.style.display !== 'none') midi.learn(null); // closing cancels learning
+    togglePanel(midiPanel, syncMidi);
+  });
+  midiProfileSelect.addEventListener('change', () => midi.selectProfile(midiProfileSelect.value));
+  document.getElementById('midiProfileSave').addEventListener('click', () => {
+    midi.saveProfileAs(midiProfileName.value);
+    midiProfileName.value = '';
+  });
+  document.getElementById('midiProfileDelete').addEventListener('click', () => midi.deleteProfile());
+  midiClockCheckbox.addEventListener('change', () => midi.setClockEnabled(midiClockCheckbox.checked));
+  midi.restore();
+
+  // 12. WebSocket input: band values from external software instead of local analysis
+  const btnWebSocket = document.getElementById('btnWebSocket');
+  const wsPanel = document.getElementById('wsPanel');
+  const wsUrl = document.getElementById('wsUrl');
+  const wsConnect = document.getElementById('wsConnect');
+  const wsInfo = document.getElementById('wsInfo');
+  const syncWebSocketButtons = () => {
+    const active = audioManager.sourceType === 'websocket';
+    wsConnect.textContent = active ? 'DISCONNECT' : 'CONNECT';
+    btnWebSocket.classList.toggle('connected', active);
+  };
+  const syncWebSocket = () => {
+    wsUrl.value = audioManager.sourceType === 'websocket' ? audioManager.provider.url : audioManager.webSocketUrl;
+    syncWebSocketButtons();
+  };
+  btnWebSocket.addEventListener('click', () => togglePanel(wsPanel, syncWebSocket));
+  wsConnect.addEventListener('click', () => {
+    if (audioManager.sourceType === 'websocket') {
+      audioManager.clearProvider();
+      audioManager.setTestMode(true);
+      return;
+    }
+    const url = wsUrl.value.trim();
+    if (!/^wss?:\/\/.+/.test(url)) {
+      showStatus('Invalid WebSocket URL', 'Use ws://host:port (or wss:// for secure pages).');
+      return;
+    }
+    audioManager.enableWebSocketInput(url);
+  });
+  bus.on('inputchange', syncWebSocketButtons);
+
+  bus.on('wsstatus', ({ state, url, error }) => {
+    wsInfo.textContent = `${state.toUpperCase()} :: ${url}`;
+    if (state === 'open') {
+      clearStatus();
+    } else if (state === 'stale') {
+      showStatus('No band values from the WebSocket', 'Visuals fade out until the sender is back.', true);
+    } else if (state === 'reconnecting') {
+      showStatus(`WebSocket ${url} disconnected`, 'Reconnecting by itself; check that the sender is running.', true);
+    } else if (error) {
+      showError(`WebSocket input failed: ${error}`);
+      showStatus('Could not open the WebSocket', error);
+    } else if (state === 'closed') {
+      clearStatus(); // disconnected on purpose
+    }
+  });
+
+  // 13. Beat clock: tap tempo / manual BPM, nudge and downbeat sync (header, keys and MIDI)
+  const tempoControls = document.getElementById('tempoControls');
+  const beatLights = [...document.querySelectorAll('#beatLights i')];
+  const tempoBpm = document.getElementById('tempoBpm');
+  const NUDGE_MS = 10;
+  const tempoActions = {
+    tap: () => {
+      const bpm = audioManager.tapTempo();
+      if (bpm) tempoBpm.value = bpm.toFixed(1);
+    },
+    resync: () => audioManager.resyncBeat(),
+    earlier: () => audioManager.nudgeBeat(-NUDGE_MS),
+    later: () => audioManager.nudgeBeat(NUDGE_MS),
+    auto: () => audioManager.releaseTempo()
+  };
+  document.getElementById('btnTap').addEventListener('click', tempoActions.tap);
+  document.getElementById('btnResync').addEventListener('click', tempoActions.resync);
+  document.getElementById('btnNudgeEarlier').addEventListener('click', tempoActions.earlier);
+  document.getElementById('btnNudgeLater').addEventListener('click', tempoActions.later);
+  document.getElementById('btnTempoAuto').addEventListener('click', tempoActions.auto);
+  tempoBpm.addEventListener('change', () => audioManager.setManualBpm(tempoBpm.value));
+
+  const TEMPO_KEYS = { t: 'tap', s: 'resync', ',': 'earlier', '.': 'later', a: 'auto' };
+  document.addEventListener('keydown', (ev) => {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey || ev.repeat) return;
+    if (ev.target.closest('input, select, textarea')) return; // typing into a field
+    const action = TEMPO_KEYS[ev.key.toLowerCase()];
+    if (action) tempoActions[action]();
+  });
+
+  midi.registerAction('tempo.tap', 'TAP_TEMPO', 'trigger', tempoActions.tap);
+  midi.registerAction('tempo.resync', 'BEAT_SYNC', 'trigger', tempoActions.resync);
+
+  // Only touch the DOM when something visible changed (this runs every frame)
+  let shownBeat = -1, shownBpm = '', shownManual = null;
+  bus.on('tempo', (tempo) => {
+    const lit = tempo.bpm > 0 ? tempo.beatInBar : -1;
+    if (lit !== shownBeat) {
+      shownBeat = lit;
+      beatLights.forEach((light, i) => light.classList.toggle('on', i === lit));
+    }
+    const bpm = tempo.bpm ? tempo.bpm.toFixed(1) : '';
+    if (bpm !== shownBpm && document.activeElement !== tempoBpm) {
+      shownBpm = bpm;
+      tempoBpm.value = bpm;
+    }
+    const manual = audioManager.beatClock.manual;
+    if (manual !== shownManual) {
+      shownManual = manual;
+      tempoControls.classList.toggle('manual', manual);
+    }
+  });
+
+  // Reopen the microphone picked in the previous session (only if permission is already granted)
+  audioManager.restoreLiveInput().then(restored => {
+    if (!restored) return;
+    refreshDeviceList();
+    // No click yet on this page: the browser holds the audio until there is one
+    if (audioManager.audioCtx.state !== 'running') {
+      showStatus('Click to start audio', 'The browser keeps the microphone paused until you click or press a key.', true);
+      audioManager.resumeOnGesture().then(clearStatus);
+    }
+  });
+
+  filePlayer.audio.addEventListener('play', () => { playerToggle.textContent = '⏸'; });
+  filePlayer.audio.addEventListener('pause', () => { playerToggle.textContent = '▶'; });
+  filePlayer.audio.addEventListener('loadedmetadata', () => {
+    const track = filePlayer.current;
+    playerTrack.textContent = track ? `${filePlayer.index + 1}/${filePlayer.playlist.length} ${track.name}` : '';
+    playerTrack.title = track ? track.name : '';
+  });
+  filePlayer.audio.addEventListener('timeupdate', () => {
+    const { currentTime, duration } = filePlayer.audio;
+    if (Number.isFinite(duration) && duration > 0) {
+      playerSeek.value = Math.round((currentTime / duration) * 1000);
     }
   });
 
@@ -258,10 +883,7 @@ async function init() {
 
   // --- STARTUP ---
   showIndex(0);
-  const firstDuration = (currentItem && currentItem.config && currentItem.config.duration) || DEFAULT_DURATION;
-  rotationTimer = setTimeout(() => rotateNext(1), firstDuration * 1000);
-
-  window.rotateNext = rotateNext;
+  rotationTimer = setTimeout(() => rotateNext(1), durationOf(currentItem) * 1000);
 }
 
 
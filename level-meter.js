@@ -0,0 +1,101 @@
+// level-meter.js
+/**
+ * Compact LED-style meter for the header: low/mid/high as the animations see
+ * them (0-100, after AGC/gain), the input RMS with a peak tick, and a clip
+ * light that stays lit for a moment after the input overloads.
+ */
+const SEGMENTS = 12;
+const METER_MIN_DB = -60;   // bottom of the RMS/peak bar
+const PEAK_FALL = 20;       // dB/s the peak tick falls back
+const CLIP_HOLD = 1500;     // ms the clip light stays on
+const BAR_LABELS = ['L', 'M', 'H', 'dB'];
+
+export class LevelMeter {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {HTMLElement} clipLight - Element that gets the `clipping` class while lit
+     */
+    constructor(canvas, clipLight) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.clipLight = clipLight;
+        this.values = new Float32Array(4); // low, mid, high, rms as 0-1
+        this.peak = 0;                     // held peak, 0-1
+        this.clipUntil = 0;
+        this.lastTime = 0;
+        this.color = getComputedStyle(canvas).color || '#33ff00';
+    }
+
+    /**
+     * Feeds one `frequencies` payload and redraws.
+     * @param {{low:number, mid:number, high:number, input:{rms:number, peak:number, clipping:boolean}}} f
+     */
+    update(f) {
+        const now = performance.now();
+        const dt = this.lastTime ? (now - this.lastTime) / 1000 : 0;
+        this.lastTime = now;
+
+        this.values[0] = f.low / 100;
+        this.values[1] = f.mid / 100;
+        this.values[2] = f.high / 100;
+        this.values[3] = dbToUnit(f.input.rms);
+
+        const peak = dbToUnit(f.input.peak);
+        this.peak = Math.max(peak, this.peak - (PEAK_FALL / -METER_MIN_DB) * dt);
+
+        if (f.input.clipping) this.clipUntil = now + CLIP_HOLD;
+        this.clipLight.classList.toggle('clipping', now < this.clipUntil);
+
+        this.draw();
+    }
+
+    /**
+     * Clears the bars and the clip light (no input).
+     */
+    reset() {
+        this.values.fill(0);
+        this.peak = 0;
+        this.clipUntil = 0;
+        this.lastTime = 0;
+        this.clipLight.classList.remove('clipping');
+        this.draw();
+    }
+
+    draw() {
+        const { ctx, canvas } = this;
+        const w = canvas.width, h = canvas.height;
+        const labelWidth = 14;
+        const rowHeight = h / BAR_LABELS.length;
+        const segWidth = (w - labelWidth) / SEGMENTS;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = this.color;
+        ctx.font = `${Math.floor(rowHeight - 1)}px monospace`;
+        ctx.textBaseline = 'middle';
+
+        for (let row = 0; row < BAR_LABELS.length; row++) {
+            const y = row * rowHeight;
+            ctx.globalAlpha = 0.8;
+            ctx.fillText(BAR_LABELS[row], 0, y + rowHeight / 2);
+
+            const lit = Math.round(this.values[row] * SEGMENTS);
+            for (let seg = 0; seg < SEGMENTS; seg++) {
+                // Unlit segments stay faintly visible, like a real LED bar
+                ctx.globalAlpha = seg < lit ? (seg >= SEGMENTS - 2 ? 1 : 0.75) : 0.12;
+                ctx.fillRect(labelWidth + seg * segWidth, y + 1, segWidth - 1, rowHeight - 2);
+            }
+        }
+
+        // Peak tick on the dB row
+        if (this.peak > 0) {
+            const x = labelWidth + Math.min(SEGMENTS - 1, Math.floor(this.peak * SEGMENTS)) * segWidth;
+            ctx.globalAlpha = 1;
+            ctx.fillRect(x, 3 * rowHeight, 2, rowHeight);
+        }
+        ctx.globalAlpha = 1;
+    }
+}
+
+function dbToUnit(db) {
+    return Math.min(1, Math.max(0, (db - METER_MIN_DB) / -METER_MIN_DB));
+}
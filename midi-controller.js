@@ -0,0 +1,307 @@
+// midi-controller.js
+/**
+ * Web MIDI input. Knobs and pads are bound to actions through "MIDI learn"
+ * (press LEARN, touch the control); the bindings live in named profiles that
+ * survive reloads. The loader registers the actions (rotation, sensitivity,
+ * animation hooks); this module only maps messages onto them.
+ *
+ * With clock sync enabled in the profile, MIDI clock (24 ticks per quarter
+ * note, e.g. from a DJ mixer) is published as `clockbeat` { time, bpm } once
+ * per beat, and `clockstop` when it stops or goes quiet.
+ */
+import { bus as sharedBus } from './event-bus.js';
+import { loadSetting, saveSetting } from './storage.js';
+
+const PROFILES_SETTING = 'midi.profiles'; // profile name -> { bindings, clock }
+const PROFILE_SETTING = 'midi.profile';   // name of the active profile
+const DEFAULT_PROFILE = 'Default';
+
+const CLOCK_PPQN = 24;      // MIDI clock ticks per quarter note
+const CLOCK_WINDOW = 96;    // ticks the tempo is averaged over (4 beats)
+const CLOCK_TIMEOUT = 500;  // ms without ticks before the clock counts as stopped
+
+const MSG_NOTE_ON = 0x90;
+const MSG_CC = 0xB0;
+const MSG_CLOCK = 0xF8;
+const MSG_START = 0xFA;
+const MSG_CONTINUE = 0xFB;
+const MSG_STOP = 0xFC;
+
+function emptyProfile() {
+    return { bindings: {}, clock: false }; // bindings: control ('cc:1:21', 'note:10:36') -> action id
+}
+
+/**
+ * Human-readable name of a control key, e.g. 'cc:1:21' -> 'CC21 CH1'.
+ */
+export function controlLabel(control) {
+    const [type, channel, number] = control.split(':');
+    return `${type === 'cc' ? 'CC' : 'NOTE'}${number} CH${channel}`;
+}
+
+export class MidiController {
+    constructor({ bus = sharedBus } = {}) {
+        this.bus = bus;
+        this.access = null;         // MIDIAccess once enabled
+        this.actions = new Map();   // id -> { id, label, type: 'trigger' | 'range', run(value) }
+        this.learning = null;       // action id waiting for the next control
+        this.lastValues = new Map(); // control -> last value (0-127), for CC triggers
+
+        const profiles = loadSetting(PROFILES_SETTING, null);
+        this.profiles = profiles && Object.keys(profiles).length ? profiles : { [DEFAULT_PROFILE]: emptyProfile() };
+        const name = loadSetting(PROFILE_SETTING, DEFAULT_PROFILE);
+        this.profileName = this.profiles[name] ? name : Object.keys(this.profiles)[0];
+
+        // MIDI clock state
+        this.clockTicks = [];       // recent tick timestamps (ms)
+        this.clockCount = 0;        // ticks since start; a beat every CLOCK_PPQN
+        this.clockHalted = false;   // a Stop message arrived: ignore ticks until Start/Continue
+        this.clockActive = false;   // beats have been published since the last stop
+        this.clockTimer = null;
+        this.clockBeat = { time: 0, bpm: 0 }; // reused payload
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    get supported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    get enabled() {
+        return this.access !== null;
+    }
+
+    get profile() {
+        return this.profiles[this.profileName];
+    }
+
+    /**
+     * Names of the connected MIDI inputs.
+     * @returns {string[]}
+     */
+    get inputNames() {
+        if (!this.access) return [];
+        return [...this.access.inputs.values()].map(input => input.name || 'MIDI input');
+    }
+
+    /**
+     * Makes an action available for binding.
+     * @param {string} id - Stable id stored in profiles, e.g. 'rotate.next'
+     * @param {string} label - Shown in the MIDI panel
+     * @param {'trigger'|'range'} type - Triggers fire on a pad hit or a knob crossing
+     *   its middle; ranges follow the control continuously
+     * @param {function(number)} run - Called with the value 0-1 (velocity for pads)
+     */
+    registerAction(id, label, type, run) {
+        this.actions.set(id, { id, label, type, run });
+    }
+
+    /**
+     * Asks for MIDI access (the browser may prompt) and listens to every input,
+     * including ones plugged in later.
+     * @returns {Promise<void>}
+     */
+    async enable() {
+        if (this.access) return;
+        if (!this.supported) throw new Error('Web MIDI is not supported by this browser');
+        this.access = await navigator.requestMIDIAccess();
+        this.access.addEventListener('statechange', () => this.connectInputs());
+        this.connectInputs();
+        console.log(`[MIDI] Enabled, inputs: ${this.inputNames.join(', ') || 'none'}`);
+    }
+
+    /**
+     * Re-enables MIDI on startup when the browser already granted access, so
+     * saved bindings work without opening the panel.
+     * @returns {Promise<boolean>} whether MIDI was enabled
+     */
+    async restore() {
+        if (!this.supported) return false;
+        try {
+            const status = await navigator.permissions.query({ name: 'midi' });
+            if (status.state !== 'granted') return false;
+            await this.enable();
+            return true;
+        } catch (err) {
+            return false; // Permissions API unavailable: wait for the user to click
+        }
+    }
+
+    connectInputs() {
+        for (const input of this.access.inputs.values()) input.onmidimessage = this.handleMessage;
+        this.emitChange();
+    }
+
+    handleMessage(event) {
+        const [status, data1 = 0, data2 = 0] = event.data;
+        if (status >= MSG_CLOCK) {
+            this.handleRealtime(status, event.timeStamp);
+            return;
+        }
+
+        const type = status & 0xF0;
+        const channel = (status & 0x0F) + 1;
+        let control;
+        if (type === MSG_CC) control = `cc:${channel}:${data1}`;
+        else if (type === MSG_NOTE_ON && data2 > 0) control = `note:${channel}:${data1}`;
+        else return; // note off, pitch bend, ...
+
+        if (this.learning) {
+            this.bind(control, this.learning);
+            return;
+        }
+
+        const previous = this.lastValues.get(control) || 0;
+        this.lastValues.set(control, data2);
+        const action = this.actions.get(this.profile.bindings[control]);
+        if (!action) return;
+
+        if (action.type === 'range') {
+            action.run(data2 / 127);
+        } else if (type === MSG_NOTE_ON || (data2 >= 64 && previous < 64)) {
+            // Buttons sending CC 127/0 and knobs turned past the middle fire once
+            action.run(data2 / 127);
+        }
+    }
+
+    /**
+     * Starts (or with the same id, cancels) learning a control for an action.
+     * @param {string|null} actionId
+     */
+    learn(actionId) {
+        this.learning = actionId && actionId !== this.learning ? actionId : null;
+        this.emitChange();
+    }
+
+    /**
+     * Binds a control to an action, replacing the action's previous control.
+     */
+    bind(control, actionId) {
+        const bindings = this.profile.bindings;
+        for (const [key, id] of Object.entries(bindings)) {
+            if (id === actionId) delete bindings[key];
+        }
+        bindings[control] = actionId;
+        this.learning = null;
+        console.log(`[MIDI] ${controlLabel(control)} -> ${actionId}`);
+        this.saveProfiles();
+    }
+
+    unbind(actionId) {
+        const bindings = this.profile.bindings;
+        for (const [key, id] of Object.entries(bindings)) {
+            if (id === actionId) delete bindings[key];
+        }
+        this.saveProfiles();
+    }
+
+    /**
+     * Control bound to an action in the active profile.
+     * @returns {string|null} control key, e.g. 'cc:1:21'
+     */
+    controlFor(actionId) {
+        const entry = Object.entries(this.profile.bindings).find(([, id]) => id === actionId);
+        return entry ? entry[0] : null;
+    }
+
+    get profileNames() {
+        return Object.keys(this.profiles);
+    }
+
+    selectProfile(name) {
+        if (!this.profiles[name]) return;
+        this.profileName = name;
+        this.learning = null;
+        if (!this.profile.clock) this.stopClock();
+        saveSetting(PROFILE_SETTING, name);
+        this.emitChange();
+    }
+
+    /**
+     * Saves the current bindings under a new (or existing) name and switches to it.
+     * @param {string} name
+     */
+    saveProfileAs(name) {
+        name = String(name || '').trim();
+        if (!name) return;
+        this.profiles[name] = JSON.parse(JSON.stringify(this.profile));
+        this.saveProfiles();
+        this.selectProfile(name);
+    }
+
+    /**
+     * Deletes the active profile; the last one left can't be deleted.
+     */
+    deleteProfile() {
+        if (this.profileNames.length < 2) return;
+        delete this.profiles[this.profileName];
+        this.saveProfiles();
+        this.selectProfile(this.profileNames[0]);
+    }
+
+    setClockEnabled(enabled) {
+        this.profile.clock = Boolean(enabled);
+        if (!enabled) this.stopClock();
+        this.saveProfiles();
+    }
+
+    saveProfiles() {
+        saveSetting(PROFILES_SETTING, this.profiles);
+        this.emitChange();
+    }
+
+    emitChange() {
+        this.bus.emit('midichange', { inputs: this.inputNames, profile: this.profileName, learning: this.learning });
+    }
+
+    // --- MIDI clock ---
+
+    handleRealtime(status, time) {
+        if (status === MSG_START) {
+            // The next tick is the first beat
+            this.clockHalted = false;
+            this.clockTicks.length = 0;
+            this.clockCount = 0;
+        } else if (status === MSG_CONTINUE) {
+            this.clockHalted = false;
+        } else if (status === MSG_STOP) {
+            this.clockHalted = true;
+            this.stopClock();
+        } else if (status === MSG_CLOCK && this.profile.clock && !this.clockHalted) {
+            this.handleTick(time);
+        }
+    }
+
+    handleTick(time) {
+        const ticks = this.clockTicks;
+        ticks.push(time);
+        if (ticks.length > CLOCK_WINDOW) ticks.shift();
+
+        // Mixers keep sending clock while idle; a gap means it was unplugged or paused
+        clearTimeout(this.clockTimer);
+        this.clockTimer = setTimeout(() => this.stopClock(), CLOCK_TIMEOUT);
+
+        const onBeat = this.clockCount % CLOCK_PPQN === 0;
+        this.clockCount++;
+        // Wait for a full beat of ticks before trusting the tempo
+        if (!onBeat || ticks.length <= CLOCK_PPQN) return;
+
+        const span = ticks[ticks.length - 1] - ticks[0];
+        if (span <= 0) return;
+        this.clockBeat.time = time;
+        this.clockBeat.bpm = (60000 * (ticks.length - 1)) / (span * CLOCK_PPQN);
+        this.clockActive = true;
+        this.bus.emit('clockbeat', this.clockBeat);
+    }
+
+    stopClock() {
+        clearTimeout(this.clockTimer);
+        this.clockTimer = null;
+        this.clockTicks.length = 0;
+        this.clockCount = 0;
+        if (!this.clockActive) return;
+        this.clockActive = false;
+        console.log('[MIDI] Clock stopped');
+        this.bus.emit('clockstop', {});
+    }
+}
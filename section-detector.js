@@ -0,0 +1,123 @@
+// section-detector.js
+/**
+ * Build-up / drop detection from longer-term band trends.
+ * Works on the input levels before AGC (which would stretch a breakdown back
+ * to full scale): a section where the bass is held back while mids/highs keep
+ * rising is a build-up, and the bass coming back after such a break is a drop.
+ */
+const FAST_TIME = 0.4;      // s, time constant of the current top level
+const BASS_TIME = 1;        // s, time constant of the bass average (smooths over single kicks)
+const TREND_TIME = 4;       // s, time constant the current top level is compared against
+const BASS_REF_FALL = 0.2;  // units/s the full-bass reference relaxes
+
+export class SectionDetector {
+    constructor(options = {}) {
+        this.bassDip = options.bassDip || 12;         // units below the reference that count as "bass held back"
+        this.riseThreshold = options.riseThreshold || 3; // units the top level must be above its trend
+        this.riseTime = options.riseTime || 3;        // s of rising before a build-up is reported
+        this.minBreak = options.minBreak || 4;        // s without bass before a return counts as a drop
+        this.buildupBars = options.buildupBars || 8;  // assumed build-up length for `progress`
+
+        // Reused objects handed to listeners (no per-frame allocations)
+        this.buildup = { active: false, progress: 0, duration: 0 };
+        this.drop = { time: 0, strength: 0, afterBuildup: false, breakDuration: 0 };
+        this.reset();
+    }
+
+    reset() {
+        this.lowAvg = 0;
+        this.topFast = null;
+        this.topTrend = 0;
+        this.bassRef = 0;
+        this.breakTime = 0;   // s the bass has been held back
+        this.breakLow = 0;    // lowest bass level during the break
+        this.risingTime = 0;  // s the top level has been rising during the break
+        this.buildup.active = false;
+        this.buildup.progress = 0;
+        this.buildup.duration = 0;
+    }
+
+    /**
+     * Feeds one frame.
+     * @param {number} low - Bass level before AGC (0-100)
+     * @param {number} mid
+     * @param {number} high
+     * @param {number} dt - Seconds since the previous frame
+     * @param {number} now - Timestamp in ms
+     * @param {number} bpm - Current tempo, 0 if unknown
+     * @returns {'buildup'|'buildupend'|'drop'|null} what to report for this frame:
+     *   'buildup' every frame of a build-up, 'buildupend' once when one fizzles out
+     */
+    process(low, mid, high, dt, now, bpm) {
+        const top = (mid + high) / 2;
+        if (this.topFast === null) {
+            // Bass averages start from zero (a first kick must not become the reference),
+            // the top trend from the current level (so the start doesn't look like a rise)
+            this.topFast = top;
+            this.topTrend = top;
+        }
+
+        const fast = 1 - Math.exp(-dt / FAST_TIME);
+        const slow = 1 - Math.exp(-dt / TREND_TIME);
+        this.lowAvg += (low - this.lowAvg) * (1 - Math.exp(-dt / BASS_TIME));
+        this.topFast += (top - this.topFast) * fast;
+        this.topTrend += (top - this.topTrend) * slow;
+
+        // Reference for "full bass": follows the loud parts, relaxes slowly through breaks
+        this.bassRef = Math.max(this.lowAvg, this.bassRef - BASS_REF_FALL * dt);
+
+        // Bass back at full level after a long enough break: the drop. Checked on the
+        // raw level so it fires on the first kick, not after the average has caught up.
+        if (this.breakTime >= this.minBreak && low >= this.bassRef) {
+            const drop = this.drop;
+            drop.time = now;
+            drop.strength = Math.min(100, Math.max(0, (low - this.breakLow) * 2));
+            drop.afterBuildup = this.buildup.active;
+            drop.breakDuration = this.breakTime;
+            this.endBreak();
+            return 'drop';
+        }
+
+        if (this.lowAvg < this.bassRef - this.bassDip) {
+            if (this.breakTime === 0) this.breakLow = this.lowAvg;
+            this.breakTime += dt;
+            this.breakLow = Math.min(this.breakLow, this.lowAvg);
+        } else if (this.buildup.active) {
+            // Build-ups often bring some bass back (risers, sub sweeps): wait for the drop
+            this.breakTime += dt;
+        } else if (this.breakTime > 0) {
+            // Bass came back gradually: no drop, the break is over
+            this.endBreak();
+        }
+
+        if (this.breakTime > 0) {
+            const rising = this.topFast - this.topTrend > this.riseThreshold;
+            this.risingTime = rising ? this.risingTime + dt : Math.max(0, this.risingTime - dt);
+        }
+
+        const buildup = this.buildup;
+        if (!buildup.active && this.risingTime >= this.riseTime) {
+            buildup.active = true;
+            buildup.duration = this.risingTime; // it has been building since it started rising
+        } else if (buildup.active && this.risingTime === 0) {
+            // Energy stopped rising for a while: it was just a break after all
+            buildup.active = false;
+            buildup.progress = 0;
+            return 'buildupend';
+        }
+
+        if (!buildup.active) return null;
+        buildup.duration += dt;
+        // Position in an assumed phrase of `buildupBars` bars; 1 = drop due any moment
+        const expected = (this.buildupBars * 4 * 60) / (bpm || 128);
+        buildup.progress = Math.min(1, buildup.duration / expected);
+        return 'buildup';
+    }
+
+    endBreak() {
+        this.breakTime = 0;
+        this.risingTime = 0;
+        this.buildup.active = false;
+        this.buildup.progress = 0;
+    }
+}
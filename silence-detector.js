@@ -0,0 +1,53 @@
+// silence-detector.js
+/**
+ * Detects sustained silence on the input level (dBFS, before AGC/gain).
+ * The level has to stay below the threshold for `hold` seconds before silence
+ * is reported, and above it for `resume` seconds before music counts as back,
+ * so pauses between tracks and single noises don't flip the state.
+ */
+export class SilenceDetector {
+    constructor({ enabled = true, threshold = -50, hold = 5, resume = 0.5 } = {}) {
+        this.enabled = enabled;
+        this.threshold = threshold; // dBFS
+        this.hold = hold;           // s below the threshold before going silent
+        this.resume = resume;       // s above the threshold before resuming
+        this.reset();
+    }
+
+    reset() {
+        this.silent = false;
+        this.quietTime = 0;
+        this.loudTime = 0;
+        this.silentTime = 0;        // s spent silent so far
+    }
+
+    /**
+     * @param {number} db - Input level in dBFS
+     * @param {number} dt - Seconds since the previous frame
+     * @returns {'silence'|'resume'|null} the transition that happened in this frame
+     */
+    process(db, dt) {
+        if (!this.enabled) return null;
+
+        if (db < this.threshold) {
+            this.quietTime += dt;
+            this.loudTime = 0;
+        } else {
+            this.loudTime += dt;
+            this.quietTime = 0;
+        }
+
+        if (this.silent) {
+            this.silentTime += dt;
+            if (this.loudTime >= this.resume) {
+                this.silent = false;
+                return 'resume';
+            }
+        } else if (this.quietTime >= this.hold) {
+            this.silent = true;
+            this.silentTime = 0;
+            return 'silence';
+        }
+        return null;
+    }
+}
@@ -0,0 +1,111 @@
+// spectral-features.js
+/**
+ * Higher-level descriptors of the current frame, each normalized to 0-100:
+ * brightness (spectral centroid on a log-frequency axis), change (spectral
+ * flux), loudness (RMS) and punchiness (crest factor over the last ~0.5s).
+ * Works on the log-spaced spectrum and the input level, so it behaves the
+ * same for the analyser and the synthetic sources.
+ */
+
+const SPECTRUM_RANGE_DB = 70; // dB between spectrum levels 0 and 100 (the analyser's decibel range)
+const CREST_MIN_DB = 3;       // a steady sine: crest 0
+const CREST_MAX_DB = 21;      // sparse, hard hits: crest 100
+
+function clampPercent(value) {
+    return Math.min(100, Math.max(0, value));
+}
+
+export class SpectralFeatures {
+    /**
+     * @param {object} options
+     * @param {number} options.minDb - Input level (dBFS) read as loudness 0
+     * @param {number} options.maxDb - Input level (dBFS) read as loudness 100
+     * @param {number} options.crestWindow - Frames the crest factor is measured over
+     */
+    constructor({ minDb = -70, maxDb = -10, crestWindow = 30 } = {}) {
+        this.minDb = minDb;
+        this.maxDb = maxDb;
+
+        this.previous = null; // Float32Array: linear band magnitudes of the previous frame, for the flux
+        this.primed = false;  // `previous` holds a real frame (no flux spike on the first one)
+
+        // Per-frame peak and mean square of the input, over the crest window
+        this.peaks = new Float32Array(crestWindow);
+        this.squares = new Float32Array(crestWindow);
+        this.index = 0;
+        this.filled = 0;
+
+        // Reused object handed to animations (no per-frame allocations)
+        this.features = {
+            centroid: 0, // brightness: 0 = all energy at 20Hz, 100 = at 20kHz (log axis)
+            flux: 0,     // share of the spectrum that rose since the previous frame
+            rms: 0,      // loudness of the input before AGC/gain
+            crest: 0     // peak-to-RMS ratio: high for punchy drums, low for pads and limiters
+        };
+    }
+
+    reset() {
+        this.primed = false;
+        this.peaks.fill(0);
+        this.squares.fill(0);
+        this.index = 0;
+        this.filled = 0;
+        const f = this.features;
+        f.centroid = f.flux = f.rms = f.crest = 0;
+    }
+
+    /**
+     * Computes the features of one frame.
+     * @param {Float32Array} spectrum - Log-spaced band levels 0-100 (AudioManager.getSpectrum)
+     * @param {{rms: number, peak: number}} input - Input level of the frame in dBFS
+     * @returns {{centroid: number, flux: number, rms: number, crest: number}} (reused)
+     */
+    process(spectrum, input) {
+        const bandCount = spectrum.length;
+        if (!this.previous || this.previous.length !== bandCount) {
+            this.previous = new Float32Array(bandCount);
+            this.primed = false;
+        }
+        const previous = this.previous;
+
+        let total = 0, weighted = 0, rise = 0;
+        for (let i = 0; i < bandCount; i++) {
+            // Levels are dB-like: back to linear magnitude, 0 staying 0
+            const magnitude = Math.pow(10, (spectrum[i] / 100) * SPECTRUM_RANGE_DB / 20) - 1;
+            total += magnitude;
+            weighted += magnitude * i;
+            if (magnitude > previous[i]) rise += magnitude - previous[i];
+            previous[i] = magnitude;
+        }
+
+        const features = this.features;
+        features.centroid = total > 0 && bandCount > 1 ? (weighted / total / (bandCount - 1)) * 100 : 0;
+        features.flux = this.primed && total > 0 ? clampPercent((rise / total) * 100) : 0;
+        this.primed = true;
+        features.rms = clampPercent(((input.rms - this.minDb) / (this.maxDb - this.minDb)) * 100);
+        features.crest = this.measureCrest(input);
+        return features;
+    }
+
+    /**
+     * Crest factor over the window: highest peak against the RMS of the whole
+     * window, so the hits of a beat count, not only the waveform of one frame.
+     */
+    measureCrest({ rms, peak }) {
+        this.peaks[this.index] = Math.pow(10, peak / 20);
+        this.squares[this.index] = Math.pow(10, rms / 10);
+        this.index = (this.index + 1) % this.peaks.length;
+        if (this.filled < this.peaks.length) this.filled++;
+
+        let maxPeak = 0, meanSquare = 0;
+        for (let i = 0; i < this.filled; i++) {
+            if (this.peaks[i] > maxPeak) maxPeak = this.peaks[i];
+            meanSquare += this.squares[i];
+        }
+        meanSquare /= this.filled;
+        // Silence has no punch, however its noise floor is shaped
+        if (10 * Math.log10(meanSquare + 1e-18) < this.minDb) return 0;
+        const crestDb = 20 * Math.log10(maxPeak) - 10 * Math.log10(meanSquare);
+        return clampPercent(((crestDb - CREST_MIN_DB) / (CREST_MAX_DB - CREST_MIN_DB)) * 100);
+    }
+}
@@ -0,0 +1,36 @@
+// storage.js
+/**
+ * Small JSON wrapper around localStorage for settings that should survive a
+ * reload. Keys are prefixed with `partyviz.`; storage being unavailable
+ * (private mode, quota, file://) only loses persistence, never throws.
+ */
+const PREFIX = 'partyviz.';
+
+/**
+ * @param {string} key
+ * @param {*} fallback - Returned when nothing (valid) is stored
+ */
+export function loadSetting(key, fallback = null) {
+    try {
+        const raw = localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (err) {
+        return fallback;
+    }
+}
+
+/**
+ * @param {string} key
+ * @param {*} value - Anything JSON-serializable; null/undefined removes the key
+ */
+export function saveSetting(key, value) {
+    try {
+        if (value === null || value === undefined) {
+            localStorage.removeItem(PREFIX + key);
+        } else {
+            localStorage.setItem(PREFIX + key, JSON.stringify(value));
+        }
+    } catch (err) {
+        console.warn(`[Storage] Could not save ${key}:`, err);
+    }
+}
@@ -0,0 +1,219 @@
+// test-signal.js
+/**
+ * Deterministic synthetic band levels for TEST_MODE.
+ * Every value is a pure function of (scenario, bpm, seed, elapsed time), so the
+ * same scenario always produces the same curve and visual checks are repeatable.
+ */
+
+const NOISE_STEP_MS = 16; // noise changes at ~60Hz regardless of display rate
+
+/**
+ * Integer hash -> 0..1. Stateless, so noise does not depend on frame timing.
+ */
+function hash(seed, n) {
+    let h = (seed ^ Math.imul(n, 0x9e3779b1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Exponential decay envelope of a hit that happened `dt` ms ago.
+ */
+function pulse(dt, decayMs) {
+    return dt >= 0 ? Math.exp(-dt / decayMs) : 0;
+}
+
+/**
+ * Time since the last hit of a grid with `perBeat` hits per beat.
+ */
+function sinceHit(t, beatMs, perBeat, offset = 0) {
+    const step = beatMs / perBeat;
+    const local = t - offset * beatMs;
+    return ((local % step) + step) % step;
+}
+
+function fourOnTheFloor(g, t, out, kickLevel = 72) {
+    const beatMs = g.beatMs;
+    const beat = Math.floor(t / beatMs);
+    const kickDt = sinceHit(t, beatMs, 1);
+    // Clap on beats 2 and 4 of the bar
+    const clapDt = beat % 2 === 1 ? kickDt : kickDt + beatMs;
+
+    out.low = 18 + kickLevel * pulse(kickDt, 140) + g.noise(t, 0) * 4;
+    out.mid = 25 + 45 * pulse(clapDt, 110) + 8 * Math.sin(t / 900) + g.noise(t, 1) * 6;
+    out.high = 15 + 55 * pulse(sinceHit(t, beatMs, 1, 0.5), 60) + g.noise(t, 2) * 8;
+}
+
+export const SCENARIOS = {
+    'four-on-the-floor': {
+        label: 'Four on the floor',
+        render(g, t, out) {
+            fourOnTheFloor(g, t, out);
+        }
+    },
+    'breakdown-build-drop': {
+        label: 'Breakdown / build / drop',
+        // 8 bars breakdown, 8 bars build-up, 16 bars drop, then loop
+        render(g, t, out) {
+            const barMs = g.beatMs * 4;
+            const bar = Math.floor(t / barMs) % 32;
+
+            if (bar < 8) {
+                out.low = 8 + g.noise(t, 0) * 4;
+                out.mid = 35 + 10 * Math.sin(t / 2000) + g.noise(t, 1) * 5;
+                out.high = 10 + g.noise(t, 2) * 6;
+            } else if (bar < 16) {
+                const progress = ((t % (barMs * 32)) - barMs * 8) / (barMs * 8);
+                // Snare roll doubling in speed every few bars
+                const perBeat = progress < 0.5 ? 2 : (progress < 0.75 ? 4 : 8);
+                out.low = 8 + 20 * progress + g.noise(t, 0) * 4;
+                out.mid = 25 + 55 * pulse(sinceHit(t, g.beatMs, perBeat), 60) * (0.4 + 0.6 * progress) + g.noise(t, 1) * 5;
+                out.high = 10 + 60 * progress + g.noise(t, 2) * 8;
+            } else {
+                fourOnTheFloor(g, t, out, 80);
+                out.high += 10;
+            }
+        }
+    },
+    'silence': {
+        label: 'Silence',
+        render(g, t, out) {
+            out.low = g.noise(t, 0) * 2;
+            out.mid = g.noise(t, 1) * 2;
+            out.high = g.noise(t, 2) * 2;
+        }
+    },
+    'bass-only': {
+        label: 'Bass only',
+        render(g, t, out) {
+            out.low = 35 + 60 * pulse(sinceHit(t, g.beatMs, 1), 200) + g.noise(t, 0) * 4;
+            out.mid = 4 + g.noise(t, 1) * 3;
+            out.high = 2 + g.noise(t, 2) * 2;
+        }
+    },
+    'hihat-rolls': {
+        label: 'Hi-hat rolls',
+        // Steady 16ths, 32nd rolls in the second half of every 4th bar
+        render(g, t, out) {
+            const barMs = g.beatMs * 4;
+            const inBar = t % (barMs * 4);
+            const rolling = inBar > barMs * 3.5;
+            out.low = 5 + g.noise(t, 0) * 3;
+            out.mid = 10 + g.noise(t, 1) * 4;
+            out.high = 10 + 60 * pulse(sinceHit(t, g.beatMs, rolling ? 8 : 4), rolling ? 25 : 40) + g.noise(t, 2) * 6;
+        }
+    }
+};
+
+export const DEFAULT_SCENARIO = 'four-on-the-floor';
+
+// Harmony shared by all scenarios: I-IV-V-I, two bars per chord, in C major
+// for 16 bars and then in E major for 16 bars, so key changes can be checked too.
+// A plain cadence without minor chords, so the key can't be heard as the relative minor.
+const PROGRESSION = [[0, 'major'], [5, 'major'], [7, 'major'], [0, 'major']];
+const KEYS = [0, 4];
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+export class TestSignal {
+    constructor({ scenario = DEFAULT_SCENARIO, bpm = 128, seed = 1 } = {}) {
+        this.seed = seed;
+        this.startTime = null;
+        this.frame = { low: 0, mid: 0, high: 0 }; // reused between samples
+        this.elapsed = 0; // ms into the scenario at the last sample
+        this.setScenario(scenario);
+        this.setBpm(bpm);
+    }
+
+    get beatMs() {
+        return 60000 / this.bpm;
+    }
+
+    setScenario(name) {
+        if (!SCENARIOS[name]) {
+            console.warn(`[TestSignal] Unknown scenario "${name}", using ${DEFAULT_SCENARIO}`);
+            name = DEFAULT_SCENARIO;
+        }
+        this.scenario = name;
+        this.restart();
+    }
+
+    setBpm(bpm) {
+        this.bpm = Math.min(200, Math.max(60, Number(bpm) || 128));
+        this.restart();
+    }
+
+    /**
+     * Starts the scenario from the top on the next sample.
+     */
+    restart() {
+        this.startTime = null;
+    }
+
+    /**
+     * Seeded noise for a channel (0 = low, 1 = mid, 2 = high), 0..1.
+     */
+    noise(t, channel) {
+        return hash(this.seed + channel * 7919, Math.floor(t / NOISE_STEP_MS));
+    }
+
+    /**
+     * @param {number} now - Timestamp in ms
+     * @returns {{low: number, mid: number, high: number}} band levels 0..100 (reused object)
+     */
+    sample(now) {
+        if (this.startTime === null) this.startTime = now;
+        const t = now - this.startTime;
+        this.elapsed = t;
+        SCENARIOS[this.scenario].render(this, t, this.frame);
+        return this.frame;
+    }
+
+    /**
+     * Pitch-class energies of the chord playing at the last sample, scaled by
+     * the mid band so silent and bass-only scenarios carry no harmony.
+     * @param {Float32Array} out - 12 values (C = 0), filled in place
+     * @returns {Float32Array} out
+     */
+    chroma(out) {
+        const t = this.elapsed;
+        const bar = Math.floor(t / (this.beatMs * 4));
+        const key = KEYS[Math.floor(bar / 16) % KEYS.length];
+        const [degree, quality] = PROGRESSION[Math.floor(bar / 2) % PROGRESSION.length];
+        const root = (key + degree) % 12;
+        const energy = Math.max(0, this.frame.mid - 8) / 100;
+
+        for (let pc = 0; pc < 12; pc++) out[pc] = this.noise(t, 3 + pc) * 0.05;
+        for (const step of MAJOR_SCALE) out[(key + step) % 12] += 0.35; // melody in the key
+        out[key] += 0.3; // and resolving to the tonic
+        out[root] += 1;
+        out[(root + (quality === 'major' ? 4 : 3)) % 12] += 0.8;
+        out[(root + 7) % 12] += 0.9;
+        for (let pc = 0; pc < 12; pc++) out[pc] *= energy;
+        return out;
+    }
+
+    /**
+     * Stereo picture at the last sample, the same in every scenario: the bass
+     * stays centred, the mids sweep across once every 4 bars and the hi-hats
+     * alternate sides on every beat.
+     * @param {{low, mid, high, balance, width}} out - Pans and balance -1 (left)
+     *   .. 1 (right), width 0..1, filled in place
+     * @returns {object} out
+     */
+    stereo(out) {
+        const t = this.elapsed;
+        const beatMs = this.beatMs;
+        out.low = 0;
+        out.mid = 0.6 * Math.sin((2 * Math.PI * t) / (beatMs * 16));
+        out.high = Math.floor(t / beatMs) % 2 === 0 ? -0.8 : 0.8;
+
+        // Level-weighted, like a meter on the mixed signal would see it
+        const { low, mid, high } = this.frame;
+        const total = low + mid + high;
+        out.balance = total > 0 ? (out.mid * mid + out.high * high) / total : 0;
+        out.width = total > 0 ? (Math.abs(out.mid) * mid + Math.abs(out.high) * high) / (2 * total) : 0;
+        return out;
+    }
+}
@@ -0,0 +1,145 @@
+// tools/ws-sender.mjs
+/**
+ * Stand-in for external software feeding PartyViz over a WebSocket: serves
+ * `{ low, mid, high, beat, bpm }` frames from the test-signal scenarios.
+ * Node only, no dependencies (a minimal RFC 6455 server on `http`/`crypto`).
+ *
+ *   node tools/ws-sender.mjs [--port 8765] [--scenario four-on-the-floor]
+ *                            [--bpm 128] [--rate 60] [--no-beats] [--stall 10]
+ *
+ * `--stall N` stops sending for 2 seconds every N seconds, to check the
+ * stale-data handling; stop and restart the script to check reconnects.
+ * Then click 📡 in PartyViz and connect to ws://localhost:<port>.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { TestSignal, SCENARIOS } from '../test-signal.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const STALL_MS = 2000;
+
+function parseArgs(argv) {
+    const options = { port: 8765, scenario: 'four-on-the-floor', bpm: 128, rate: 60, beats: true, stall: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--no-beats') options.beats = false;
+        else if (arg === '--scenario') options.scenario = argv[++i];
+        else if (['--port', '--bpm', '--rate', '--stall'].includes(arg)) options[arg.slice(2)] = Number(argv[++i]);
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    if (options.stall && !(options.stall * 1000 > STALL_MS)) {
+        throw new Error(`--stall must be longer than ${STALL_MS / 1000} seconds`);
+    }
+    if (!SCENARIOS[options.scenario]) {
+        throw new Error(`Unknown scenario "${options.scenario}" (${Object.keys(SCENARIOS).join(', ')})`);
+    }
+    return options;
+}
+
+/**
+ * Encodes a server-to-client text frame (unmasked, single fragment).
+ */
+function textFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Handles what clients send us: answers pings and close frames, ignores data.
+ * Assumes each chunk holds whole frames, which is true for these tiny control frames.
+ */
+function handleClientData(socket, chunk) {
+    const opcode = chunk[0] & 0x0f;
+    if (opcode === 0x8) {
+        socket.end(Buffer.from([0x88, 0x00]));
+    } else if (opcode === 0x9) {
+        // Pong with the (unmasked) ping payload
+        const length = chunk[1] & 0x7f;
+        const mask = chunk.subarray(2, 6);
+        const payload = Buffer.from(chunk.subarray(6, 6 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const signal = new TestSignal({ scenario: options.scenario, bpm: options.bpm });
+    const clients = new Set();
+
+    const server = createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('PartyViz test sender: connect with a WebSocket\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || req.headers.upgrade.toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        clients.add(socket);
+        console.log(`[ws-sender] Client connected (${clients.size})`);
+        socket.on('data', (chunk) => handleClientData(socket, chunk));
+        socket.on('close', () => {
+            clients.delete(socket);
+            console.log(`[ws-sender] Client left (${clients.size})`);
+        });
+        socket.on('error', () => clients.delete(socket));
+    });
+
+    const start = Date.now();
+    let lastBeat = -1;
+    setInterval(() => {
+        const now = Date.now() - start;
+        if (options.stall > 0 && now % (options.stall * 1000) >= options.stall * 1000 - STALL_MS) return;
+
+        const { low, mid, high } = signal.sample(now);
+        const frame = { low: Math.round(low), mid: Math.round(mid), high: Math.round(high) };
+        if (options.beats) {
+            // One beat per quarter note of the scenario tempo
+            const beatIndex = Math.floor(signal.elapsed / signal.beatMs);
+            frame.beat = beatIndex !== lastBeat ? 100 : 0;
+            frame.bpm = signal.bpm;
+            lastBeat = beatIndex;
+        }
+
+        const data = textFrame(JSON.stringify(frame));
+        for (const socket of clients) socket.write(data);
+    }, 1000 / options.rate);
+
+    server.listen(options.port, () => {
+        console.log(`[ws-sender] ${SCENARIOS[options.scenario].label} at ${options.bpm} BPM on ws://localhost:${options.port}`);
+    });
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`[ws-sender] ${err.message}`);
+    process.exit(1);
+}
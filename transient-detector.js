@@ -0,0 +1,136 @@
+// transient-detector.js
+/**
+ * Discrete drum hits: kick, snare/clap and hi-hat, each with a strength.
+ * Every instrument has its own onset track (a level jumping well above its
+ * recent average, with a refractory period), fed from a narrow band of the
+ * spectrum where that instrument dominates, or from the LOW/MID/HIGH bands
+ * for sources without a spectrum. A sustained bassline or pad never fires;
+ * only the attack of a hit does.
+ */
+
+// Frequency range (Hz) each instrument is detected in
+export const TRANSIENT_BANDS = {
+    kick: [40, 120],
+    snare: [1500, 5000],
+    hihat: [8000, 16000]
+};
+
+const SPILL_RATIO = 0.5; // a hit weaker than this share of the hit below it counts as spill
+
+const TRACK_OPTIONS = {
+    kick: { threshold: 1.35, minLevel: 12, minInterval: 150 },
+    snare: { threshold: 1.3, minLevel: 10, minInterval: 120 },
+    hihat: { threshold: 1.3, minLevel: 8, minInterval: 70 }
+};
+
+/**
+ * Onset detection on one level (0-100), like BeatDetector without the tempo.
+ */
+class OnsetTrack {
+    constructor({ threshold, minLevel, minInterval, historySize = 20 }) {
+        this.threshold = threshold;     // onset when level > avg * threshold
+        this.minLevel = minLevel;       // ignore onsets in near silence
+        this.minInterval = minInterval; // ms, refractory period
+        this.history = new Float32Array(historySize); // ~0.3s of frames at 60Hz
+        this.reset();
+    }
+
+    reset() {
+        this.history.fill(0);
+        this.historyIndex = 0;
+        this.historyFilled = 0;
+        this.prevLevel = 0;
+        this.lastOnset = -Infinity;
+    }
+
+    /**
+     * @returns {number} the onset strength (0-100), 0 when there is none. The
+     *   refractory period only starts once the onset is accepted.
+     */
+    process(level, now) {
+        let avg = 0;
+        for (let i = 0; i < this.historyFilled; i++) avg += this.history[i];
+        avg = this.historyFilled ? avg / this.historyFilled : 0;
+
+        const isOnset = this.historyFilled >= 10 &&
+            level > this.prevLevel &&
+            level >= this.minLevel &&
+            level > avg * this.threshold &&
+            (now - this.lastOnset) >= this.minInterval;
+
+        this.history[this.historyIndex] = level;
+        this.historyIndex = (this.historyIndex + 1) % this.history.length;
+        if (this.historyFilled < this.history.length) this.historyFilled++;
+        this.prevLevel = level;
+
+        if (!isOnset) return 0;
+        return Math.max(1, Math.min(100, avg > 0 ? ((level - avg) / avg) * 100 : 100));
+    }
+
+    /**
+     * Marks the onset of this frame as a hit. Onsets dropped as spill don't
+     * block a real hit right after them.
+     */
+    accept(now) {
+        this.lastOnset = now;
+    }
+}
+
+export class TransientDetector {
+    constructor() {
+        this.tracks = {
+            kick: new OnsetTrack(TRACK_OPTIONS.kick),
+            snare: new OnsetTrack(TRACK_OPTIONS.snare),
+            hihat: new OnsetTrack(TRACK_OPTIONS.hihat)
+        };
+        // Reused objects handed to animations (no per-frame allocations)
+        this.hitsByType = {
+            kick: { type: 'kick', time: 0, strength: 0 },
+            snare: { type: 'snare', time: 0, strength: 0 },
+            hihat: { type: 'hihat', time: 0, strength: 0 }
+        };
+        this.hits = []; // hits of the current frame
+    }
+
+    reset() {
+        for (const track of Object.values(this.tracks)) track.reset();
+        this.hits.length = 0;
+    }
+
+    /**
+     * Feeds one frame of the three instrument levels (0-100).
+     * @param {number} kick
+     * @param {number} snare
+     * @param {number} hihat
+     * @param {number} now - Timestamp in ms
+     * @returns {Array<{type: string, time: number, strength: number}>} the hits of
+     *   this frame, usually none (reused array)
+     */
+    process(kick, snare, hihat, now) {
+        const kickStrength = this.tracks.kick.process(kick, now);
+        const rawSnareStrength = this.tracks.snare.process(snare, now);
+        let snareStrength = rawSnareStrength;
+        let hihatStrength = this.tracks.hihat.process(hihat, now);
+
+        // A hit spills into the bands above it (the click of a kick, the noise of
+        // a snare); a clap on top of a kick still rises much more than that.
+        // The hi-hat is checked against both, even when the snare onset was spill.
+        if (snareStrength < kickStrength * SPILL_RATIO) snareStrength = 0;
+        if (hihatStrength < Math.max(kickStrength, rawSnareStrength) * SPILL_RATIO) hihatStrength = 0;
+
+        this.hits.length = 0;
+        this.addHit('kick', kickStrength, now);
+        this.addHit('snare', snareStrength, now);
+        this.addHit('hihat', hihatStrength, now);
+        return this.hits;
+    }
+
+    addHit(type, strength, now) {
+        if (!strength) return;
+        this.tracks[type].accept(now);
+        const hit = this.hitsByType[type];
+        hit.time = now;
+        hit.strength = strength;
+        this.hits.push(hit);
+    }
+}
@@ -0,0 +1,163 @@
+// websocket-source.js
+/**
+ * Band values from external software (lighting desk, DJ software) over a
+ * WebSocket, in place of local analysis. Each message is a JSON frame
+ * `{ low, mid, high, beat?, bpm? }` with levels 0-100; `beat` is a beat
+ * strength (0 = none) and `bpm` the sender's tempo.
+ *
+ * Implements the provider interface AudioManager uses for non-analyser
+ * sources (`read(now)`, see BandReplay). The connection is retried with
+ * backoff when it drops; while no frames arrive the levels fade out instead
+ * of freezing on the last value.
+ */
+import { bus as sharedBus } from './event-bus.js';
+
+const RECONNECT_MIN = 500;    // ms before the first reconnect attempt
+const RECONNECT_MAX = 10000;  // ms, upper bound of the backoff
+const STALE_FADE = 0.9;       // per-read factor levels fade by while stale
+
+export class WebSocketSource {
+    /**
+     * @param {string} url - e.g. 'ws://localhost:8765'
+     * @param {object} options
+     * @param {number} options.staleAfter - ms without frames before the data counts as stale
+     * @param {boolean} options.normalized - Values are already normalized at the
+     *   source (skip AGC/manual gain); false runs them through AGC like the mic
+     */
+    constructor(url, { staleAfter = 500, normalized = true, bus = sharedBus } = {}) {
+        this.url = url;
+        this.staleAfter = staleAfter;
+        this.normalized = normalized;
+        this.bus = bus;
+
+        this.socket = null;
+        this.closed = true;         // close() was called: don't reconnect
+        this.state = 'closed';      // 'connecting' | 'open' | 'stale' | 'reconnecting' | 'closed'
+        this.retryDelay = RECONNECT_MIN;
+        this.retryTimer = null;
+
+        this.lastFrameTime = -Infinity; // performance.now() of the last valid frame
+        this.pendingBeat = 0;           // strongest beat since the previous read
+        this.hasBeats = false;          // the sender reports beats: skip local detection
+        this.frame = { low: 0, mid: 0, high: 0, beat: undefined, bpm: 0 }; // reused between reads
+    }
+
+    get name() {
+        return this.url;
+    }
+
+    connect() {
+        this.closed = false;
+        this.open();
+    }
+
+    open() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.setState(this.state === 'closed' ? 'connecting' : 'reconnecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            // Malformed URL: retrying won't help
+            this.closed = true;
+            this.setState('closed', err.message);
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.retryDelay = RECONNECT_MIN;
+            console.log(`[WebSocketSource] Connected to ${this.url}`);
+            // 'open' is reported with the first frame; until then the data is stale
+            this.setState('stale');
+        });
+        socket.addEventListener('message', (event) => this.handleMessage(event.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.closed) return;
+            console.warn(`[WebSocketSource] Connection to ${this.url} lost, retrying in ${this.retryDelay}ms`);
+            this.setState('reconnecting');
+            this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+            this.retryDelay = Math.min(RECONNECT_MAX, this.retryDelay * 2);
+        });
+        // 'error' is always followed by 'close', which handles the retry
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setState('closed');
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            console.warn('[WebSocketSource] Ignoring non-JSON message');
+            return;
+        }
+        const { low, mid, high } = message || {};
+        if (![low, mid, high].every(Number.isFinite)) {
+            console.warn('[WebSocketSource] Ignoring frame without numeric low/mid/high:', message);
+            return;
+        }
+
+        const frame = this.frame;
+        frame.low = clampLevel(low);
+        frame.mid = clampLevel(mid);
+        frame.high = clampLevel(high);
+        if (message.beat !== undefined) {
+            this.hasBeats = true;
+            this.pendingBeat = Math.max(this.pendingBeat, clampLevel(Number(message.beat) || 0));
+        }
+        if (Number.isFinite(message.bpm) && message.bpm > 0) frame.bpm = message.bpm;
+
+        this.lastFrameTime = performance.now();
+        if (this.state !== 'open') this.setState('open');
+    }
+
+    /**
+     * @param {number} now - Timestamp in ms
+     * @returns {{low: number, mid: number, high: number, beat: number|undefined, bpm: number}}
+     *   `beat` is the strongest beat received since the previous read (0 = none),
+     *   or undefined while the sender doesn't report beats; `bpm` is 0 if unknown.
+     */
+    read(now) {
+        const frame = this.frame;
+        if (now - this.lastFrameTime > this.staleAfter) {
+            if (this.state === 'open') this.setState('stale');
+            // Let the visuals calm down rather than freeze; local detection takes over the beats
+            frame.low *= STALE_FADE;
+            frame.mid *= STALE_FADE;
+            frame.high *= STALE_FADE;
+            frame.beat = undefined;
+            frame.bpm = 0;
+            this.pendingBeat = 0;
+            return frame;
+        }
+
+        frame.beat = this.hasBeats ? this.pendingBeat : undefined;
+        this.pendingBeat = 0;
+        return frame;
+    }
+
+    setState(state, error = null) {
+        if (state === this.state && !error) return;
+        this.state = state;
+        this.bus.emit('wsstatus', { state, url: this.url, error });
+    }
+}
+
+function clampLevel(value) {
+    return Math.min(100, Math.max(0, value));
+}